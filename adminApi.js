@@ -0,0 +1,156 @@
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Disconnect reasons an operator may send (see the AudioHook disconnect message)
+const DISCONNECT_REASONS = ['completed', 'error', 'unauthorized', 'reconnect'];
+
+/**
+ * Compare a bearer token with the admin token in constant time
+ * @param {string} header Authorization header
+ * @param {string} token Configured admin token
+ * @returns {boolean} True if the header carries the token
+ */
+export const isAuthorized = (header, token) => {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) {
+    return false;
+  }
+  const candidate = createHash('sha256').update(match[1]).digest();
+  return timingSafeEqual(candidate, createHash('sha256').update(token).digest());
+}
+
+/**
+ * Summarize a session for the admin API
+ * @param {object} sessionData Session state
+ * @returns {object} Session summary
+ */
+export const describeSession = (sessionData) => ({
+  id: sessionData.id,
+  tenantId: sessionData.tenant ? sessionData.tenant.id : null,
+  organizationId: sessionData.organizationId,
+  correlationId: sessionData.correlationId,
+  conversationId: sessionData.conversationId || null,
+  participantId: sessionData.participant ? sessionData.participant.id : null,
+  state: sessionData.state || null,
+  isPaused: Boolean(sessionData.isPaused),
+  serverPause: sessionData.serverPause || null,
+  isConnectionProbe: Boolean(sessionData.isConnectionProbe),
+  language: sessionData.language || null,
+  media: sessionData.audioFormat || null,
+  startTime: sessionData.startTime,
+  endTime: sessionData.endTime || null,
+  bytesReceived: sessionData.bytesReceived,
+  gapFillBytes: sessionData.gapFillBytes || 0,
+  pauseSegments: sessionData.pauseSegments,
+  discardedSegments: sessionData.discardedSegments,
+  rawFilename: sessionData.rawFilename || null,
+  uploaded: Boolean(sessionData.uploaded),
+  recovered: Boolean(sessionData.recovered),
+  outcomes: sessionData.outcomes || {},
+  listeners: sessionData.listeners ? sessionData.listeners.size : 0
+});
+
+/**
+ * Create the admin API router
+ * Every route requires an "Authorization: Bearer <token>" header.
+ * @param {object} options Router options
+ * @param {string} options.token Admin token
+ * @param {Map} options.activeSessions Active sessions by session id
+ * @param {Map} options.completedSessions Recently completed sessions by session id, oldest first
+ * @param {Function} options.disconnectSession Called with (sessionData, reason, info)
+ * @param {Function} options.retrySession Async, called with a completed sessionData; reruns conversion and upload
+ * @returns {express.Router} Router to mount under /admin
+ */
+export const createAdminRouter = ({ token, activeSessions, completedSessions, disconnectSession, retrySession }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.use((req, res, next) => {
+    if (!isAuthorized(req.headers.authorization, token)) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    next();
+  });
+
+  // Active sessions
+  router.get('/sessions', (req, res) => {
+    res.status(200).json({
+      sessions: Array.from(activeSessions.values()).map(describeSession)
+    });
+  });
+
+  router.get('/sessions/:id', (req, res) => {
+    const sessionData = activeSessions.get(req.params.id);
+    if (!sessionData) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+    res.status(200).json({
+      ...describeSession(sessionData),
+      serverSeq: sessionData.serverSeq,
+      clientSeq: sessionData.clientSeq,
+      position: sessionData.position,
+      channels: sessionData.channels || null,
+      streaming: Boolean(sessionData.streamingUploads),
+      transcribing: Boolean(sessionData.transcription),
+      timeline: sessionData.timeline
+    });
+  });
+
+  router.post('/sessions/:id/disconnect', (req, res) => {
+    const sessionData = activeSessions.get(req.params.id);
+    if (!sessionData) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+
+    const reason = (req.body && req.body.reason) || 'completed';
+    if (!DISCONNECT_REASONS.includes(reason)) {
+      res.status(400).json({ error: `Reason must be one of: ${DISCONNECT_REASONS.join(', ')}` });
+      return;
+    }
+    if (sessionData.disconnectSent) {
+      res.status(409).json({ error: 'Disconnect already sent' });
+      return;
+    }
+
+    disconnectSession(sessionData, reason, (req.body && req.body.info) || 'Closed by administrator');
+    res.status(202).json({ id: sessionData.id, reason });
+  });
+
+  // Recently completed sessions, newest first
+  router.get('/recordings', (req, res) => {
+    const failedOnly = req.query.status === 'failed';
+    const recordings = Array.from(completedSessions.values())
+      .reverse()
+      .filter(sessionData => !failedOnly || !sessionData.uploaded)
+      .map(sessionData => ({ ...describeSession(sessionData), retrying: Boolean(sessionData.retrying) }));
+    res.status(200).json({ recordings });
+  });
+
+  router.post('/recordings/:id/retry', async (req, res) => {
+    const sessionData = completedSessions.get(req.params.id);
+    if (!sessionData) {
+      res.status(404).json({ error: 'Recording not found' });
+      return;
+    }
+    if (sessionData.uploaded) {
+      res.status(409).json({ error: 'Recording was already uploaded' });
+      return;
+    }
+    if (sessionData.retrying) {
+      res.status(409).json({ error: 'A retry is already running' });
+      return;
+    }
+
+    try {
+      await retrySession(sessionData);
+      res.status(sessionData.uploaded ? 200 : 500).json(describeSession(sessionData));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
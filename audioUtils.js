@@ -1,70 +1,426 @@
-import { execSync } from 'child_process';
+import * as fs from 'fs';
+import { Transform, pipeline as pipelineCallback } from 'stream';
+import { promisify } from 'util';
+import { logger } from './logger.js';
+
+// stream/promises only exists from Node 15
+const pipeline = promisify(pipelineCallback);
+
+// Size of the RIFF/WAVE header chunks that precede the data chunk
+const RIFF_HEADER_SIZE = 12;
+const FMT_CHUNK_SIZE = 24;
+const CHUNK_HEADER_SIZE = 8;
+
+/**
+ * Decode a single G.711 μ-law byte to a signed 16-bit PCM sample
+ * @param {number} byte μ-law encoded byte
+ * @returns {number} Linear PCM sample
+ */
+const decodeMulawSample = (byte) => {
+  const value = ~byte & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return sign ? -magnitude : magnitude;
+}
+
+// Lookup table for all 256 μ-law codes
+const MULAW_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  MULAW_TABLE[i] = decodeMulawSample(i);
+}
+
+// μ-law code for a zero sample
+export const MULAW_SILENCE = 0xff;
+
+// Frequency and amplitude of the tone used to mark gaps in the recording
+const MARKER_TONE_HZ = 440;
+const MARKER_TONE_AMPLITUDE = 2000;
+
+/**
+ * Encode a signed 16-bit PCM sample as a G.711 μ-law byte
+ * @param {number} sample Linear PCM sample
+ * @returns {number} μ-law encoded byte
+ */
+export const encodeMulawSample = (sample) => {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), 32635) + 0x84;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// Bytes per sample of each supported AudioHook media format (L16 arrives little-endian)
+const BYTES_PER_SAMPLE = {
+  PCMU: 1,
+  L16: 2
+};
+
+/**
+ * Get the size of one sample for an AudioHook media format
+ * @param {string} format Media format ('PCMU' or 'L16')
+ * @returns {number} Bytes per sample
+ */
+export const getBytesPerSample = (format) => {
+  const bytes = BYTES_PER_SAMPLE[format];
+  if (!bytes) {
+    throw new Error(`Unsupported audio format: ${format}`);
+  }
+  return bytes;
+}
+
+/**
+ * Generate audio to stand in for a stretch of audio Genesys never sent
+ * @param {number} frames Number of sample frames to generate
+ * @param {number} channels Number of interleaved channels
+ * @param {number} sampleRate Sample rate in Hz
+ * @param {string} mode 'silence' or 'tone' (a quiet marker tone)
+ * @param {number} startFrame Frame offset, keeps the tone continuous across calls
+ * @param {string} format Media format of the raw stream ('PCMU' or 'L16')
+ * @returns {Buffer} Interleaved audio in the given format
+ */
+export const generateFill = (frames, channels, sampleRate, mode = 'silence', startFrame = 0, format = 'PCMU') => {
+  const bytesPerSample = getBytesPerSample(format);
+  const output = format === 'PCMU'
+    ? Buffer.alloc(frames * channels, MULAW_SILENCE)
+    : Buffer.alloc(frames * channels * bytesPerSample);
+
+  if (mode === 'tone') {
+    for (let f = 0; f < frames; f++) {
+      const t = (startFrame + f) / sampleRate;
+      const sample = Math.round(MARKER_TONE_AMPLITUDE * Math.sin(2 * Math.PI * MARKER_TONE_HZ * t));
+      for (let c = 0; c < channels; c++) {
+        const offset = (f * channels + c) * bytesPerSample;
+        if (format === 'PCMU') {
+          output[offset] = encodeMulawSample(sample);
+        } else {
+          output.writeInt16LE(sample, offset);
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Decode a buffer of μ-law (PCMU) bytes to little-endian PCM16
+ * Interleaved stereo input stays interleaved since every byte is one sample.
+ * @param {Buffer} input μ-law encoded audio
+ * @returns {Buffer} PCM16LE audio, twice the input length
+ */
+export const decodeMulaw = (input) => {
+  const output = Buffer.allocUnsafe(input.length * 2);
+  for (let i = 0; i < input.length; i++) {
+    output.writeInt16LE(MULAW_TABLE[input[i]], i * 2);
+  }
+  return output;
+}
+
+/**
+ * Decode raw AudioHook audio to little-endian PCM16
+ * @param {Buffer} input Raw audio in the given format
+ * @param {string} format Media format ('PCMU' or 'L16')
+ * @returns {Buffer} PCM16LE audio
+ */
+export const decodeAudio = (input, format = 'PCMU') => {
+  switch (format) {
+    case 'PCMU':
+      return decodeMulaw(input);
+    case 'L16':
+      return input;
+    default:
+      throw new Error(`Unsupported audio format: ${format}`);
+  }
+}
+
+/**
+ * Build a LIST/INFO chunk holding the channel labels
+ * @param {Array<string>} channelTypes Channel types in interleave order (e.g. ['external', 'internal'])
+ * @returns {Buffer} Encoded chunk, or an empty buffer if there are no labels
+ */
+export const buildInfoChunk = (channelTypes = []) => {
+  if (!channelTypes || channelTypes.length === 0) {
+    return Buffer.alloc(0);
+  }
+
+  const comment = channelTypes.map((type, i) => `channel ${i + 1}: ${type}`).join('; ');
+
+  // INFO strings are NUL-terminated and sub-chunks are padded to an even size
+  let text = Buffer.from(`${comment}\0`, 'ascii');
+  const textSize = text.length;
+  if (text.length % 2 !== 0) {
+    text = Buffer.concat([text, Buffer.alloc(1)]);
+  }
+
+  const chunk = Buffer.alloc(CHUNK_HEADER_SIZE + 4 + CHUNK_HEADER_SIZE + text.length);
+  chunk.write('LIST', 0, 'ascii');
+  chunk.writeUInt32LE(chunk.length - CHUNK_HEADER_SIZE, 4);
+  chunk.write('INFO', 8, 'ascii');
+  chunk.write('ICMT', 12, 'ascii');
+  chunk.writeUInt32LE(textSize, 16);
+  text.copy(chunk, 20);
+
+  return chunk;
+}
+
+/**
+ * Build the RIFF/WAVE header (fmt, optional LIST/INFO and data chunk header)
+ * @param {object} options Header options
+ * @param {number} options.channels Number of interleaved channels
+ * @param {number} options.sampleRate Sample rate in Hz
+ * @param {number} options.dataLength Size of the PCM data in bytes
+ * @param {Array<string>} options.channelTypes Optional channel labels for the LIST/INFO chunk
+ * @returns {Buffer} Header to be followed directly by the PCM data
+ */
+export const buildWavHeader = ({ channels, sampleRate, dataLength, channelTypes = [] }) => {
+  const bitsPerSample = 16;
+  const blockAlign = channels * (bitsPerSample / 8);
+  const infoChunk = buildInfoChunk(channelTypes);
+
+  const header = Buffer.alloc(RIFF_HEADER_SIZE + FMT_CHUNK_SIZE + infoChunk.length + CHUNK_HEADER_SIZE);
+  let offset = 0;
+
+  header.write('RIFF', offset, 'ascii');
+  header.writeUInt32LE(header.length - CHUNK_HEADER_SIZE + dataLength, offset + 4);
+  header.write('WAVE', offset + 8, 'ascii');
+  offset += RIFF_HEADER_SIZE;
+
+  header.write('fmt ', offset, 'ascii');
+  header.writeUInt32LE(16, offset + 4);
+  header.writeUInt16LE(1, offset + 8); // PCM
+  header.writeUInt16LE(channels, offset + 10);
+  header.writeUInt32LE(sampleRate, offset + 12);
+  header.writeUInt32LE(sampleRate * blockAlign, offset + 16);
+  header.writeUInt16LE(blockAlign, offset + 20);
+  header.writeUInt16LE(bitsPerSample, offset + 22);
+  offset += FMT_CHUNK_SIZE;
+
+  infoChunk.copy(header, offset);
+  offset += infoChunk.length;
+
+  header.write('data', offset, 'ascii');
+  header.writeUInt32LE(dataLength, offset + 4);
+
+  return header;
+}
+
+// How much of a WAV file is read to find its fmt and data chunks
+const WAV_HEADER_SCAN_BYTES = 64 * 1024;
+
+// File access used by the converters; createEncryptedFileIo in encryption.js provides the same
+// interface for recordings that are encrypted at rest
+export const plainFileIo = {
+  // Size of the file's content in bytes
+  size: async (filePath) => (await fs.promises.stat(filePath)).size,
+  createReadStream: (filePath) => fs.createReadStream(filePath),
+  createWriteStream: (filePath) => fs.createWriteStream(filePath),
+
+  // Up to length bytes from the start of the file
+  async readStart(filePath, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+};
+
+/**
+ * Create a transform stream that decodes raw audio to PCM16LE
+ * @param {number} limit Number of input bytes to decode; anything past it is dropped
+ * @param {string} format Media format ('PCMU' or 'L16')
+ * @returns {Transform} Decoding stream
+ */
+const createDecoder = (limit, format) => {
+  let remaining = limit;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const usable = chunk.subarray(0, Math.max(0, Math.min(chunk.length, remaining)));
+      remaining -= usable.length;
+      callback(null, usable.length > 0 ? decodeAudio(usable, format) : undefined);
+    }
+  });
+}
 
 /**
- * Convert raw audio (PCMU/G.711 μ-law) to WAV format
+ * Convert raw audio (PCMU/G.711 μ-law or L16) to WAV format
  * @param {string} inputPath Path to raw audio file
  * @param {string} outputPath Path to output WAV file
  * @param {number} channels Number of audio channels (1 for mono, 2 for stereo)
  * @param {number} sampleRate Sample rate in Hz (typically 8000 for PCMU)
  * @param {Array<string>} channelTypes Optional array of channel types (e.g. ['external', 'internal'])
+ * @param {string} format Media format of the raw file ('PCMU' or 'L16')
+ * @param {object} fileIo File access for input and output (default plainFileIo)
  * @returns {Promise<void>}
  */
-export const convertRawToWav = async (inputPath, outputPath, channels, sampleRate, channelTypes = []) => {
-  return new Promise((resolve, reject) => {
-    try {
-      console.log(`Converting raw audio to WAV: ${outputPath}`);
-      
-      // Build channel labels for metadata if available
-      let channelMapping = '';
-      if (channelTypes && channelTypes.length > 0) {
-        for (let i = 0; i < channelTypes.length; i++) {
-          if (i > 0) channelMapping += ' / ';
-          channelMapping += channelTypes[i];
+export const convertRawToWav = async (inputPath, outputPath, channels, sampleRate, channelTypes = [], format = 'PCMU', fileIo = plainFileIo) => {
+  logger.debug('Converting raw audio to WAV', { file: outputPath, format, channels: channelTypes });
+
+  try {
+    // Drop a trailing partial frame so interleaved channels never shift
+    const bytesPerSample = getBytesPerSample(format);
+    const size = await fileIo.size(inputPath);
+    const inputLength = size - (size % (channels * bytesPerSample));
+
+    const header = buildWavHeader({
+      channels,
+      sampleRate,
+      dataLength: (inputLength / bytesPerSample) * 2,
+      channelTypes
+    });
+
+    const output = fileIo.createWriteStream(outputPath);
+    output.write(header);
+
+    await pipeline(
+      fileIo.createReadStream(inputPath),
+      createDecoder(inputLength, format),
+      output
+    );
+  } catch (error) {
+    logger.error('Error converting audio', { file: outputPath, error });
+    throw error;
+  }
+}
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ * @param {fs.WriteStream} stream Destination stream
+ * @param {Buffer} chunk Data to write
+ * @returns {Promise<void>}
+ */
+const writeWithBackpressure = (stream, chunk) => {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => stream.once('drain', resolve));
+}
+
+/**
+ * Split interleaved raw audio (PCMU/G.711 μ-law or L16) into one mono WAV file per channel
+ * @param {string} inputPath Path to interleaved raw audio file
+ * @param {Array<string>} outputPaths Output WAV path for each channel, in interleave order
+ * @param {number} sampleRate Sample rate in Hz (typically 8000 for PCMU)
+ * @param {Array<string>} channelTypes Optional array of channel types (e.g. ['external', 'internal'])
+ * @param {string} format Media format of the raw file ('PCMU' or 'L16')
+ * @param {object} fileIo File access for input and outputs (default plainFileIo)
+ * @returns {Promise<void>}
+ */
+export const convertRawToChannelWavs = async (inputPath, outputPaths, sampleRate, channelTypes = [], format = 'PCMU', fileIo = plainFileIo) => {
+  const channels = outputPaths.length;
+  logger.debug('Splitting raw audio into channel WAV files', { channels });
+
+  const outputs = [];
+  try {
+    const bytesPerSample = getBytesPerSample(format);
+    const frameSize = channels * bytesPerSample;
+    const size = await fileIo.size(inputPath);
+    const framesTotal = Math.floor(size / frameSize);
+
+    for (let c = 0; c < channels; c++) {
+      const output = fileIo.createWriteStream(outputPaths[c]);
+      outputs.push(output);
+      output.write(buildWavHeader({
+        channels: 1,
+        sampleRate,
+        dataLength: framesTotal * 2,
+        channelTypes: channelTypes[c] ? [channelTypes[c]] : []
+      }));
+    }
+
+    // Carry partial frames over between chunks so channels never swap
+    let carry = Buffer.alloc(0);
+    let framesLeft = framesTotal;
+
+    for await (const chunk of fileIo.createReadStream(inputPath)) {
+      const data = carry.length > 0 ? Buffer.concat([carry, chunk]) : chunk;
+      const frames = Math.min(Math.floor(data.length / frameSize), framesLeft);
+      carry = data.subarray(frames * frameSize);
+      framesLeft -= frames;
+
+      for (let c = 0; c < channels; c++) {
+        const mono = Buffer.allocUnsafe(frames * bytesPerSample);
+        for (let f = 0; f < frames; f++) {
+          const offset = f * frameSize + c * bytesPerSample;
+          data.copy(mono, f * bytesPerSample, offset, offset + bytesPerSample);
         }
+        await writeWithBackpressure(outputs[c], decodeAudio(mono, format));
       }
-      
-      // Use ffmpeg to convert raw audio to WAV
-      // Note: Changed -channels to -ac for FFmpeg compatibility
-      const command = `ffmpeg -f mulaw -ar ${sampleRate} -ac ${channels} -i "${inputPath}" -c:a pcm_s16le "${outputPath}"`;
-      
-      execSync(command);
-      
-      // Add channel metadata if available
-      if (channelMapping) {
-        // This would require additional code to add metadata to the WAV file
-        // For now, we'll just log the channel information
-        console.log(`Audio channels: ${channelMapping}`);
-      }
-      
-      resolve();
-    } catch (error) {
-      console.error('Error converting audio:', error);
-      reject(error);
     }
-  });
+
+    await Promise.all(outputs.map(output => new Promise((resolve, reject) => {
+      output.on('error', reject);
+      output.end(resolve);
+    })));
+  } catch (error) {
+    outputs.forEach(output => output.destroy());
+    logger.error('Error splitting audio channels', { file: inputPath, error });
+    throw error;
+  }
 }
 
 /**
  * Get audio statistics like duration, peak amplitude, etc.
  * @param {string} filePath Path to WAV file
+ * @param {object} fileIo File access (default plainFileIo)
  * @returns {Promise<object>} Audio statistics
  */
-export const getAudioStats = async (filePath) => {
-  return new Promise((resolve, reject) => {
-    try {
-      // Use ffprobe to get audio stats
-      const command = `ffprobe -v error -show_entries format=duration -of json "${filePath}"`;
-      const output = execSync(command).toString();
-      const data = JSON.parse(output);
-      
-      resolve({
-        duration: parseFloat(data.format.duration),
-        channels: 0,  // We'd need additional ffprobe commands to get channel count
-        // Add more stats as needed
-      });
-    } catch (error) {
-      console.error('Error getting audio stats:', error);
-      reject(error);
+export const getAudioStats = async (filePath, fileIo = plainFileIo) => {
+  try {
+    const size = await fileIo.size(filePath);
+    const header = await fileIo.readStart(filePath, Math.min(size, WAV_HEADER_SCAN_BYTES));
+
+    if (header.length < RIFF_HEADER_SIZE ||
+        header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error(`Not a WAV file: ${filePath}`);
     }
-  });
+
+    // Walk the chunk list until both fmt and data have been seen
+    let fmt = null;
+    let dataLength = null;
+    let offset = RIFF_HEADER_SIZE;
+
+    while (offset + CHUNK_HEADER_SIZE <= header.length && (fmt === null || dataLength === null)) {
+      const id = header.toString('ascii', offset, offset + 4);
+      const length = header.readUInt32LE(offset + 4);
+
+      if (id === 'fmt ' && offset + CHUNK_HEADER_SIZE + 16 <= header.length) {
+        fmt = header.subarray(offset + CHUNK_HEADER_SIZE, offset + CHUNK_HEADER_SIZE + 16);
+      } else if (id === 'data') {
+        // Clamp to what is actually on disk in case the header was never finalized
+        dataLength = Math.min(length, size - offset - CHUNK_HEADER_SIZE);
+      }
+
+      offset += CHUNK_HEADER_SIZE + length + (length % 2);
+    }
+
+    if (fmt === null || dataLength === null) {
+      throw new Error(`Missing fmt or data chunk in WAV file: ${filePath}`);
+    }
+
+    const channels = fmt.readUInt16LE(2);
+    const sampleRate = fmt.readUInt32LE(4);
+    const byteRate = fmt.readUInt32LE(8);
+    const bitsPerSample = fmt.readUInt16LE(14);
+
+    return {
+      duration: byteRate > 0 ? dataLength / byteRate : 0,
+      channels,
+      sampleRate,
+      bitsPerSample
+    };
+  } catch (error) {
+    logger.error('Error getting audio stats', { file: filePath, error });
+    throw error;
+  }
 }
@@ -0,0 +1,435 @@
+import * as fs from 'fs';
+import { pipeline, Transform, Writable } from 'stream';
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+// Envelope encryption of recordings at rest. Each recording gets its own AES-256 data key, wrapped
+// by a master key from a key provider. Files and objects are written as a header (magic and a
+// 12-byte base IV) followed by independently authenticated AES-256-GCM records:
+//   [uint32BE plaintext length][uint8 flags][ciphertext][16-byte tag]
+// Record i uses the base IV with its last four bytes XORed with i, and authenticates its index and
+// header, so records can't be reordered or dropped unnoticed. The last record carries the final
+// flag; a spool file cut short by a crash still decrypts up to its last complete record.
+
+// Algorithm name stored in object metadata
+export const ENCRYPTION_ALGORITHM = 'AES-256-GCM-FRAMED-V1';
+
+const MAGIC = Buffer.from('AHE1', 'ascii');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH;
+const RECORD_HEADER_LENGTH = 5;
+const FINAL_FLAG = 1;
+
+// Largest plaintext per record; bigger writes are split
+const RECORD_SIZE = 64 * 1024;
+
+/**
+ * Build the file header carrying the base IV
+ * @param {Buffer} iv Base IV
+ * @returns {Buffer} Header
+ */
+const buildHeader = (iv) => Buffer.concat([MAGIC, iv]);
+
+/**
+ * Read the base IV from a file header
+ * @param {Buffer} header First HEADER_LENGTH bytes of an encrypted file
+ * @returns {Buffer} Base IV
+ */
+const parseHeader = (header) => {
+  if (header.length < HEADER_LENGTH || !header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('Not an encrypted recording');
+  }
+  return header.subarray(MAGIC.length, HEADER_LENGTH);
+}
+
+/**
+ * Derive the nonce of a record from the base IV
+ * @param {Buffer} iv Base IV
+ * @param {number} index Record index
+ * @returns {Buffer} Nonce
+ */
+const recordNonce = (iv, index) => {
+  const nonce = Buffer.from(iv);
+  nonce.writeUInt32BE((nonce.readUInt32BE(IV_LENGTH - 4) ^ index) >>> 0, IV_LENGTH - 4);
+  return nonce;
+}
+
+/**
+ * Build the additional authenticated data of a record
+ * @param {number} index Record index
+ * @param {Buffer} recordHeader Length and flags of the record
+ * @returns {Buffer} AAD
+ */
+const recordAad = (index, recordHeader) => {
+  const aad = Buffer.alloc(4 + RECORD_HEADER_LENGTH);
+  aad.writeUInt32BE(index, 0);
+  recordHeader.copy(aad, 4);
+  return aad;
+}
+
+/**
+ * Create a function that encrypts consecutive records
+ * @param {Buffer} key Data key
+ * @param {Buffer} iv Base IV
+ * @returns {Function} Called with (plaintext, final); returns the sealed records
+ */
+const createSealer = (key, iv) => {
+  let index = 0;
+
+  const sealRecord = (plaintext, final) => {
+    const recordHeader = Buffer.alloc(RECORD_HEADER_LENGTH);
+    recordHeader.writeUInt32BE(plaintext.length, 0);
+    recordHeader.writeUInt8(final ? FINAL_FLAG : 0, 4);
+
+    const cipher = createCipheriv('aes-256-gcm', key, recordNonce(iv, index));
+    cipher.setAAD(recordAad(index, recordHeader));
+    index++;
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([recordHeader, ciphertext, cipher.getAuthTag()]);
+  };
+
+  return (plaintext, final = false) => {
+    const records = [];
+    let offset = 0;
+    do {
+      const end = Math.min(offset + RECORD_SIZE, plaintext.length);
+      const last = end === plaintext.length;
+      if (end > offset || final) {
+        records.push(sealRecord(plaintext.subarray(offset, end), final && last));
+      }
+      offset = end;
+    } while (offset < plaintext.length);
+    return Buffer.concat(records);
+  };
+}
+
+/**
+ * Decrypt and authenticate one record
+ * @param {Buffer} key Data key
+ * @param {Buffer} iv Base IV
+ * @param {number} index Record index
+ * @param {Buffer} record Complete record
+ * @returns {Buffer} Plaintext
+ */
+const openRecord = (key, iv, index, record) => {
+  const recordHeader = record.subarray(0, RECORD_HEADER_LENGTH);
+  const decipher = createDecipheriv('aes-256-gcm', key, recordNonce(iv, index));
+  decipher.setAAD(recordAad(index, recordHeader));
+  decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+
+  try {
+    return Buffer.concat([decipher.update(record.subarray(RECORD_HEADER_LENGTH, record.length - TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new Error(`Encrypted record ${index} failed authentication`);
+  }
+}
+
+/**
+ * Encrypt a whole buffer, e.g. a manifest
+ * @param {Buffer} key Data key
+ * @param {Buffer|string} plaintext Data to encrypt
+ * @returns {{iv: Buffer, body: Buffer}} Base IV and encrypted data
+ */
+export const encryptBuffer = (key, plaintext) => {
+  const iv = randomBytes(IV_LENGTH);
+  const seal = createSealer(key, iv);
+  return { iv, body: Buffer.concat([buildHeader(iv), seal(Buffer.from(plaintext), true)]) };
+}
+
+/**
+ * Create a writable stream that encrypts everything written to it into a file
+ * 'finish' is only emitted once the file has been flushed.
+ * @param {string} filePath Output file
+ * @param {Buffer} key Data key
+ * @returns {Writable} Stream, with the base IV as its iv property
+ */
+export const createEncryptedWriteStream = (filePath, key) => {
+  const iv = randomBytes(IV_LENGTH);
+  const seal = createSealer(key, iv);
+  const file = fs.createWriteStream(filePath);
+  file.write(buildHeader(iv));
+
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      file.write(seal(chunk), callback);
+    },
+    final(callback) {
+      file.end(seal(Buffer.alloc(0), true), callback);
+    },
+    destroy(error, callback) {
+      file.destroy();
+      callback(error);
+    }
+  });
+
+  file.on('error', error => stream.destroy(error));
+  stream.iv = iv;
+  return stream;
+}
+
+/**
+ * Create a transform stream that decrypts an encrypted file or object
+ * @param {Buffer} key Data key
+ * @param {object} options Decryption options
+ * @param {boolean} options.allowTruncated Accept data that ends before the final record,
+ *   such as a spool file left by a crash (default false)
+ * @param {Buffer} options.expectedIv Base IV the data must carry, e.g. from object metadata (optional)
+ * @returns {Transform} Decrypting stream
+ */
+export const createDecryptStream = (key, { allowTruncated = false, expectedIv = null } = {}) => {
+  let buffered = Buffer.alloc(0);
+  let iv = null;
+  let index = 0;
+  let finished = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+
+      try {
+        if (!iv) {
+          if (buffered.length < HEADER_LENGTH) {
+            callback();
+            return;
+          }
+          iv = Buffer.from(parseHeader(buffered));
+          if (expectedIv && !iv.equals(expectedIv)) {
+            throw new Error('Encrypted data does not carry the expected IV');
+          }
+          buffered = buffered.subarray(HEADER_LENGTH);
+        }
+
+        const output = [];
+        while (buffered.length >= RECORD_HEADER_LENGTH) {
+          const length = buffered.readUInt32BE(0);
+          if (length > RECORD_SIZE) {
+            throw new Error(`Encrypted record ${index} is too long`);
+          }
+          const recordLength = RECORD_HEADER_LENGTH + length + TAG_LENGTH;
+          if (buffered.length < recordLength) {
+            break;
+          }
+          if (finished) {
+            throw new Error('Encrypted data continues after the final record');
+          }
+
+          finished = (buffered[4] & FINAL_FLAG) !== 0;
+          output.push(openRecord(key, iv, index++, buffered.subarray(0, recordLength)));
+          buffered = buffered.subarray(recordLength);
+        }
+
+        callback(null, output.length > 0 ? Buffer.concat(output) : undefined);
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      if (!allowTruncated && (!finished || buffered.length > 0)) {
+        callback(new Error('Encrypted data is truncated'));
+        return;
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Read the base IV of an encrypted file
+ * @param {string} filePath Encrypted file
+ * @returns {Buffer} Base IV
+ */
+export const readEncryptedFileIv = (filePath) => {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, HEADER_LENGTH, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return Buffer.from(parseHeader(header));
+}
+
+/**
+ * Get the plaintext size of an encrypted file by walking its record headers
+ * A trailing partial record (from a crash mid-write) is not counted.
+ * @param {string} filePath Encrypted file
+ * @returns {Promise<number>} Plaintext size in bytes
+ */
+export const getPlaintextSize = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const recordHeader = Buffer.alloc(RECORD_HEADER_LENGTH);
+    let offset = HEADER_LENGTH;
+    let total = 0;
+
+    while (offset + RECORD_HEADER_LENGTH <= size) {
+      await handle.read(recordHeader, 0, RECORD_HEADER_LENGTH, offset);
+      const length = recordHeader.readUInt32BE(0);
+      if (offset + RECORD_HEADER_LENGTH + length + TAG_LENGTH > size) {
+        break;
+      }
+      total += length;
+      offset += RECORD_HEADER_LENGTH + length + TAG_LENGTH;
+    }
+
+    return total;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Create file access for the audio converters that keeps files encrypted at rest
+ * (see plainFileIo in audioUtils.js for the interface)
+ * @param {Buffer} key Data key
+ * @returns {object} File access
+ */
+export const createEncryptedFileIo = (key) => {
+  const createReadStream = (filePath) => {
+    const decrypt = createDecryptStream(key, { allowTruncated: true });
+    pipeline(fs.createReadStream(filePath), decrypt, () => {});
+    return decrypt;
+  };
+
+  return {
+    size: getPlaintextSize,
+    createReadStream,
+    createWriteStream: (filePath) => createEncryptedWriteStream(filePath, key),
+
+    async readStart(filePath, length) {
+      const chunks = [];
+      let total = 0;
+      const stream = createReadStream(filePath);
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+        total += chunk.length;
+        if (total >= length) {
+          break;
+        }
+      }
+      stream.destroy();
+      return Buffer.concat(chunks).subarray(0, length);
+    }
+  };
+}
+
+/**
+ * Wrap a data key with the master key (AES-256-GCM)
+ * @param {Buffer} masterKey Master key
+ * @param {Buffer} dataKey Data key
+ * @returns {string} Base64 of IV, tag and wrapped key
+ */
+const wrapKey = (masterKey, dataKey) => {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv('aes-256-gcm', masterKey, iv);
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64');
+}
+
+/**
+ * Unwrap a data key with the master key
+ * @param {Buffer} masterKey Master key
+ * @param {string} wrappedKey Base64 of IV, tag and wrapped key
+ * @returns {Buffer} Data key
+ */
+const unwrapKey = (masterKey, wrappedKey) => {
+  const data = Buffer.from(wrappedKey, 'base64');
+  const decipher = createDecipheriv('aes-256-gcm', masterKey, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Read a 256-bit master key stored as 64 hex characters, base64 or 32 raw bytes
+ * @param {string} keyFile Key file path
+ * @returns {Buffer} Master key
+ */
+const readMasterKey = (keyFile) => {
+  const content = fs.readFileSync(keyFile);
+  const text = content.toString('utf8').trim();
+
+  let key = content;
+  if (/^[0-9a-f]{64}$/i.test(text)) {
+    key = Buffer.from(text, 'hex');
+  } else if (content.length !== KEY_LENGTH) {
+    key = Buffer.from(text, 'base64');
+  }
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Master key in ${keyFile} must be 256 bits`);
+  }
+  return key;
+}
+
+/**
+ * Key provider keeping the master key in a local file, a stand-in for a KMS
+ * @param {object} options Provider options
+ * @param {string} options.keyFile Master key file
+ * @returns {object} Key provider
+ */
+const createLocalKeyProvider = ({ keyFile }) => {
+  if (!keyFile) {
+    throw new Error('The local key provider needs a key file');
+  }
+
+  const masterKey = readMasterKey(keyFile);
+  const keyId = `local:${createHash('sha256').update(masterKey).digest('hex').slice(0, 16)}`;
+
+  return {
+    name: 'local',
+    keyId,
+
+    async generateDataKey() {
+      const key = randomBytes(KEY_LENGTH);
+      return { key, wrappedKey: wrapKey(masterKey, key), keyId };
+    },
+
+    async decryptDataKey(wrappedKey, wrappedKeyId) {
+      if (wrappedKeyId !== keyId) {
+        throw new Error(`Data key was wrapped by ${wrappedKeyId}, not by ${keyId}`);
+      }
+      return unwrapKey(masterKey, wrappedKey);
+    }
+  };
+}
+
+// Available key providers by name
+const KEY_PROVIDERS = {
+  local: createLocalKeyProvider
+};
+
+/**
+ * Create a key provider
+ * Providers follow the KMS data key model: generateDataKey() resolves to
+ * { key, wrappedKey, keyId } and decryptDataKey(wrappedKey, keyId) resolves to the key,
+ * so a KMS-backed provider can be added without touching the callers.
+ * @param {string} name Provider name ('local')
+ * @param {object} options Provider specific options
+ * @returns {object} Key provider
+ */
+export const createKeyProvider = (name, options) => {
+  const factory = KEY_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown key provider: ${name}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Build the object metadata describing how an object was encrypted
+ * @param {object} encryption Session encryption state (wrappedKey and keyId)
+ * @param {Buffer} iv Base IV of the object
+ * @param {string} contentType Content type of the plaintext
+ * @returns {object} Metadata entries
+ */
+export const buildEncryptionMetadata = (encryption, iv, contentType) => ({
+  'encryption-algorithm': ENCRYPTION_ALGORITHM,
+  'encryption-key-id': encryption.keyId,
+  'encryption-wrapped-key': encryption.wrappedKey,
+  'encryption-iv': iv.toString('base64'),
+  'encryption-content-type': contentType
+});
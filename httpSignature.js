@@ -0,0 +1,299 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Components Genesys always covers when signing the AudioHook upgrade request
+const REQUIRED_COMPONENTS = [
+  '@request-target',
+  '@authority',
+  'audiohook-organization-id',
+  'audiohook-session-id',
+  'audiohook-correlation-id',
+  'x-api-key'
+];
+
+// Nonces seen within their validity window, used to reject replayed handshakes
+const seenNonces = new Map();
+
+/**
+ * Split a structured header value on top-level commas (ignoring commas inside
+ * quoted strings, inner lists and byte sequences)
+ * @param {string} value Raw header value
+ * @returns {Array<string>} Trimmed dictionary members
+ */
+const splitMembers = (value) => {
+  const members = [];
+  let current = '';
+  let inQuotes = false;
+  let inBytes = false;
+  let depth = 0;
+
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+
+    if (inQuotes) {
+      current += ch;
+      if (ch === '\\' && i + 1 < value.length) {
+        current += value[++i];
+      } else if (ch === '"') {
+        inQuotes = false;
+      }
+      continue;
+    }
+
+    if (ch === '"') inQuotes = true;
+    else if (ch === ':') inBytes = !inBytes;
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+
+    if (ch === ',' && depth === 0 && !inBytes) {
+      members.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  if (current.trim()) {
+    members.push(current.trim());
+  }
+
+  return members;
+}
+
+/**
+ * Parse a bare structured field item value (string, integer, boolean or token)
+ * @param {string} raw Raw item text
+ * @returns {string|number|boolean} Parsed value
+ */
+const parseBareItem = (raw) => {
+  if (raw.startsWith('"') && raw.endsWith('"')) {
+    return raw.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  }
+  if (/^-?\d+$/.test(raw)) {
+    return parseInt(raw, 10);
+  }
+  if (raw === '?1') return true;
+  if (raw === '?0') return false;
+  return raw;
+}
+
+/**
+ * Parse a Signature-Input header into its labelled signature definitions
+ * @param {string} header Signature-Input header value
+ * @returns {Map<string, object>} Map of label to { components, params, serialized }
+ */
+export const parseSignatureInput = (header) => {
+  const result = new Map();
+
+  for (const member of splitMembers(header)) {
+    const match = member.match(/^([a-z*][a-z0-9_\-.*]*)=\((.*?)\)(.*)$/);
+    if (!match) {
+      throw new Error(`Malformed Signature-Input member: ${member}`);
+    }
+
+    const [, label, list, paramText] = match;
+
+    const components = [];
+    for (const item of list.match(/"(?:[^"\\]|\\.)*"(?:;[^\s"]+)?/g) || []) {
+      if (item.includes('";')) {
+        throw new Error(`Unsupported component parameters: ${item}`);
+      }
+      components.push(parseBareItem(item).toLowerCase());
+    }
+
+    const params = {};
+    for (const param of paramText.split(';').slice(1)) {
+      const eq = param.indexOf('=');
+      if (eq === -1) {
+        params[param.trim()] = true;
+      } else {
+        params[param.slice(0, eq).trim()] = parseBareItem(param.slice(eq + 1).trim());
+      }
+    }
+
+    result.set(label, {
+      components,
+      params,
+      serialized: member.slice(label.length + 1)
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Parse a Signature header into its labelled signature bytes
+ * @param {string} header Signature header value
+ * @returns {Map<string, Buffer>} Map of label to signature bytes
+ */
+export const parseSignature = (header) => {
+  const result = new Map();
+
+  for (const member of splitMembers(header)) {
+    const match = member.match(/^([a-z*][a-z0-9_\-.*]*)=:([A-Za-z0-9+/=]*):$/);
+    if (!match) {
+      throw new Error(`Malformed Signature member: ${member}`);
+    }
+    result.set(match[1], Buffer.from(match[2], 'base64'));
+  }
+
+  return result;
+}
+
+/**
+ * Resolve the value of a covered component from the upgrade request
+ * @param {object} req Incoming HTTP request
+ * @param {string} component Component identifier (derived or header name)
+ * @returns {string} Component value
+ */
+const getComponentValue = (req, component) => {
+  switch (component) {
+    case '@request-target':
+      return req.url;
+    case '@method':
+      return req.method.toUpperCase();
+    case '@authority':
+      return (req.headers.host || '').toLowerCase();
+    case '@path':
+      return req.url.split('?')[0];
+    case '@query': {
+      const index = req.url.indexOf('?');
+      return index === -1 ? '?' : req.url.slice(index);
+    }
+    default: {
+      if (component.startsWith('@')) {
+        throw new Error(`Unsupported derived component: ${component}`);
+      }
+      const value = req.headers[component];
+      if (value === undefined) {
+        throw new Error(`Covered header missing from request: ${component}`);
+      }
+      return (Array.isArray(value) ? value.join(', ') : value).trim();
+    }
+  }
+}
+
+/**
+ * Build the RFC 9421 signature base for a signature definition
+ * @param {object} req Incoming HTTP request
+ * @param {object} definition Parsed Signature-Input entry
+ * @returns {string} Signature base
+ */
+export const buildSignatureBase = (req, definition) => {
+  const lines = definition.components.map(
+    component => `"${component}": ${getComponentValue(req, component)}`
+  );
+  lines.push(`"@signature-params": ${definition.serialized}`);
+  return lines.join('\n');
+}
+
+/**
+ * Drop nonces whose validity window has passed
+ * @param {number} now Current time in seconds
+ */
+const pruneNonces = (now) => {
+  for (const [nonce, expiry] of seenNonces) {
+    if (expiry <= now) {
+      seenNonces.delete(nonce);
+    }
+  }
+}
+
+/**
+ * Verify the HTTP message signature on an AudioHook upgrade request
+ * @param {object} req Incoming HTTP request
+ * @param {object} options Verification options
+ * @param {string} options.clientSecret Base64-encoded client secret shared with Genesys
+ * @param {string} options.apiKey API key the signature key id must match (optional)
+ * @param {number} options.maxAgeSeconds Maximum age of the created timestamp
+ * @param {number} options.clockSkewSeconds Tolerated clock difference with Genesys
+ * @returns {{valid: boolean, reason: string}} Verification result
+ */
+export const verifySignature = (req, options) => {
+  const { clientSecret, apiKey, maxAgeSeconds = 300, clockSkewSeconds = 30 } = options;
+
+  const signatureHeader = req.headers['signature'];
+  const signatureInputHeader = req.headers['signature-input'];
+
+  if (!signatureHeader || !signatureInputHeader) {
+    return { valid: false, reason: 'Missing signature headers' };
+  }
+
+  let definitions;
+  let signatures;
+  try {
+    definitions = parseSignatureInput(signatureInputHeader);
+    signatures = parseSignature(signatureHeader);
+  } catch (error) {
+    return { valid: false, reason: error.message };
+  }
+
+  // Genesys sends a single signature; use the first label present in both headers
+  const label = Array.from(definitions.keys()).find(key => signatures.has(key));
+  if (!label) {
+    return { valid: false, reason: 'No matching signature label' };
+  }
+
+  const definition = definitions.get(label);
+  const { params } = definition;
+
+  for (const component of REQUIRED_COMPONENTS) {
+    if (!definition.components.includes(component)) {
+      return { valid: false, reason: `Required component not covered: ${component}` };
+    }
+  }
+
+  if (params.alg && params.alg !== 'hmac-sha256') {
+    return { valid: false, reason: `Unsupported algorithm: ${params.alg}` };
+  }
+
+  if (apiKey && params.keyid !== apiKey) {
+    return { valid: false, reason: 'Key id does not match API key' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!Number.isInteger(params.created)) {
+    return { valid: false, reason: 'Missing created parameter' };
+  }
+  if (params.created > now + clockSkewSeconds) {
+    return { valid: false, reason: 'Signature created in the future' };
+  }
+  if (params.created < now - maxAgeSeconds - clockSkewSeconds) {
+    return { valid: false, reason: 'Signature too old' };
+  }
+  if (params.expires !== undefined) {
+    if (!Number.isInteger(params.expires) || params.expires < now - clockSkewSeconds) {
+      return { valid: false, reason: 'Signature expired' };
+    }
+  }
+
+  if (typeof params.nonce !== 'string' || !params.nonce) {
+    return { valid: false, reason: 'Missing nonce parameter' };
+  }
+
+  let signatureBase;
+  try {
+    signatureBase = buildSignatureBase(req, definition);
+  } catch (error) {
+    return { valid: false, reason: error.message };
+  }
+
+  const expected = createHmac('sha256', Buffer.from(clientSecret, 'base64'))
+    .update(signatureBase, 'utf8')
+    .digest();
+  const received = signatures.get(label);
+
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  // Only remember nonces of authentic requests so forged ones can't poison the cache
+  pruneNonces(now);
+  if (seenNonces.has(params.nonce)) {
+    return { valid: false, reason: 'Replayed nonce' };
+  }
+  const windowEnd = params.created + maxAgeSeconds + clockSkewSeconds;
+  seenNonces.set(params.nonce, params.expires !== undefined ? Math.min(params.expires + clockSkewSeconds, windowEnd) : windowEnd);
+
+  return { valid: true, reason: 'ok' };
+}
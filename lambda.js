@@ -1,10 +1,15 @@
 // Once audio is uploaded to S3, this Lambda function is triggered to send the audio off to AssemblyAI for transcription 
 // and then stores the transcript results back in S3.
+// In webhook mode AssemblyAI calls `webhookHandler` (behind API Gateway or a function URL) when the transcript
+// is ready; in poll mode `handler` waits for the transcript itself, bounded by the time the invocation has left.
 
 // Import required AWS SDK modules
 import { S3 } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { createHash, timingSafeEqual } from 'crypto';
+import { pipeline } from 'stream';
+import { ENCRYPTION_ALGORITHM, createDecryptStream, createKeyProvider } from './encryption.js';
 
 // Configure logging
 const logger = {
@@ -12,15 +17,183 @@ const logger = {
   error: (data) => console.error(JSON.stringify(data))
 };
 
-// Configuration settings for AssemblyAI
+// Default transcription options, overridden per organization and then per call
 // See config parameters here: https://www.assemblyai.com/docs/api-reference/transcripts/submit
-const ASSEMBLYAI_CONFIG = {
-  multichannel: true // Using multichannel here as we told Genesys to send us multichannel audio.
+const DEFAULT_TRANSCRIPTION_OPTIONS = {
+  languageCode: null, // Derived from the recording's Genesys language unless set
+  redactPii: false,
+  redactPiiPolicies: ['person_name', 'phone_number', 'email_address', 'credit_card_number', 'us_social_security_number'],
+  speakerLabels: false, // Only applies to mono recordings; stereo ones are transcribed per channel
+  wordBoost: [],
+  boostParam: null,
+  assemblyai: {} // Extra AssemblyAI request parameters, passed through unchanged
+};
+
+// Options a call may set through the recorder's metadata; the `assemblyai` passthrough is config-only
+const CALL_OPTION_KEYS = ['languageCode', 'redactPii', 'redactPiiPolicies', 'speakerLabels', 'wordBoost', 'boostParam'];
+
+// Layered configuration from TRANSCRIPTION_CONFIG:
+//   { "defaults": { ...options }, "organizations": { "<org-id>": { ...options } } }
+const TRANSCRIPTION_CONFIG = JSON.parse(process.env.TRANSCRIPTION_CONFIG || '{}');
+
+// AssemblyAI language codes for Genesys languages that need a regional variant;
+// other languages use their primary subtag (e.g. es-US -> es)
+const LANGUAGE_CODES = {
+  'en-us': 'en_us',
+  'en-gb': 'en_uk',
+  'en-au': 'en_au'
+};
+const SUPPORTED_LANGUAGES = new Set([
+  'en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'hi', 'ja', 'zh', 'fi', 'ko', 'pl', 'ru', 'tr', 'uk', 'vi'
+]);
+
+// How transcription completion is detected: 'webhook' (AssemblyAI calls back) or 'poll'
+const COMPLETION_MODE = process.env.COMPLETION_MODE || (process.env.WEBHOOK_URL ? 'webhook' : 'poll');
+
+// Webhook settings; AssemblyAI sends the auth header back on every callback
+const WEBHOOK_CONFIG = {
+  url: process.env.WEBHOOK_URL,
+  authHeaderName: process.env.WEBHOOK_AUTH_HEADER_NAME || 'x-webhook-secret',
+  authHeaderValue: process.env.WEBHOOK_AUTH_HEADER_VALUE
+};
+
+// Polling fallback settings
+const POLL_CONFIG = {
+  intervalMs: parseInt(process.env.POLL_INTERVAL_MS || '3000', 10),
+  timeoutMs: parseInt(process.env.POLL_TIMEOUT_MS || '600000', 10),
+  safetyMarginMs: 10000 // Time left to store the transcript before the function times out
+};
+
+// Object suffixes that are sent for transcription (the recorder also uploads .raw files)
+const TRANSCRIBE_SUFFIXES = (process.env.TRANSCRIBE_SUFFIXES || '.wav')
+  .split(',')
+  .map(suffix => suffix.trim().toLowerCase())
+  .filter(Boolean);
+
+// How long an in-progress marker blocks new attempts before it's considered abandoned
+const MARKER_TTL_SECONDS = parseInt(process.env.MARKER_TTL_SECONDS || '21600', 10);
+
+// Record handling limits
+const PROCESSING_CONFIG = {
+  concurrency: parseInt(process.env.MAX_CONCURRENCY || '4', 10), // Records handled at the same time
+  maxAttempts: parseInt(process.env.ASSEMBLYAI_MAX_ATTEMPTS || '5', 10), // Per AssemblyAI request, for 429 and 5xx
+  baseDelayMs: 500, // First retry delay, doubled on every attempt
+  maxDelayMs: 8000,
+  minTimeToStartMs: parseInt(process.env.MIN_TIME_TO_START_MS || '15000', 10), // Records aren't started with less time left
+  deadLetterPrefix: process.env.DEAD_LETTER_PREFIX || 'dead-letter/',
+  deadLetterAfterReceives: parseInt(process.env.DEAD_LETTER_AFTER_RECEIVES || '3', 10) // SQS deliveries before giving up
+};
+
+// Recordings the recorder encrypted (ENCRYPTION_ENABLED) carry their wrapped data key in their object metadata.
+// ENCRYPTION_KEY_FILE must hold the recorder's master key (64 hex characters, base64 or 32 raw bytes).
+const ENCRYPTION_CONFIG = {
+  keyFile: process.env.ENCRYPTION_KEY_FILE
 };
 
 // Initialize AWS S3 client
 const s3Client = new S3();
 
+/**
+ * Map a Genesys language tag to an AssemblyAI language code
+ * @param {string} language - Genesys language (e.g. 'es-US')
+ * @returns {string|null} AssemblyAI language code, or null if unsupported or unknown
+ */
+const mapLanguageCode = (language) => {
+  if (!language || language === 'unknown') {
+    return null;
+  }
+  const tag = language.toLowerCase();
+  if (LANGUAGE_CODES[tag]) {
+    return LANGUAGE_CODES[tag];
+  }
+  const primary = tag.split('-')[0];
+  return SUPPORTED_LANGUAGES.has(primary) ? primary : null;
+}
+
+/**
+ * Resolve the transcription options for a recording
+ * Layers are applied in order: defaults, TRANSCRIPTION_CONFIG defaults, the organization's
+ * overrides and finally the per-call options stored on the object by the recorder.
+ * @param {object} metadata - S3 object metadata
+ * @returns {object} Transcription options
+ */
+const resolveTranscriptionOptions = (metadata) => {
+  const organizations = TRANSCRIPTION_CONFIG.organizations || {};
+  const orgOptions = organizations[metadata['organization-id']] || {};
+
+  let callOptions = {};
+  if (metadata['transcription-options']) {
+    try {
+      const parsed = JSON.parse(metadata['transcription-options']);
+      callOptions = Object.fromEntries(CALL_OPTION_KEYS.filter(name => name in parsed).map(name => [name, parsed[name]]));
+    } catch (error) {
+      logger.error({ message: "Ignoring unparseable per-call transcription options", error: error.message });
+    }
+  }
+
+  const layers = [DEFAULT_TRANSCRIPTION_OPTIONS, TRANSCRIPTION_CONFIG.defaults || {}, orgOptions, callOptions];
+  return layers.reduce((options, layer) => ({
+    ...options,
+    ...layer,
+    assemblyai: { ...options.assemblyai, ...(layer.assemblyai || {}) }
+  }), {});
+}
+
+/**
+ * Build the AssemblyAI request parameters for a recording
+ * @param {object} metadata - S3 object metadata written by the recorder
+ * @returns {object} Request parameters (without audio_url)
+ */
+const buildTranscriptionConfig = (metadata) => {
+  const options = resolveTranscriptionOptions(metadata);
+  const channelCount = metadata.channels ? metadata.channels.split(',').length : 1;
+  const requestConfig = {};
+
+  // Stereo recordings keep each party on its own channel
+  if (channelCount > 1) {
+    requestConfig.multichannel = true;
+  } else if (options.speakerLabels) {
+    requestConfig.speaker_labels = true;
+  }
+  if (channelCount > 1 && options.speakerLabels) {
+    logger.info({ message: "Speaker labels are ignored for multichannel recordings" });
+  }
+
+  // Transcribe in the conversation's language, falling back to detection
+  const languageCode = options.languageCode || mapLanguageCode(metadata.language);
+  if (languageCode) {
+    requestConfig.language_code = languageCode;
+  } else {
+    requestConfig.language_detection = true;
+  }
+
+  if (options.redactPii) {
+    requestConfig.redact_pii = true;
+    requestConfig.redact_pii_policies = options.redactPiiPolicies;
+  }
+
+  if (options.wordBoost && options.wordBoost.length > 0) {
+    requestConfig.word_boost = options.wordBoost;
+    if (options.boostParam) {
+      requestConfig.boost_param = options.boostParam;
+    }
+  }
+
+  // Passthrough parameters can't override what the recording itself dictates
+  return { ...options.assemblyai, ...requestConfig };
+}
+
+/**
+ * Read the metadata the recorder stored on an S3 object
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 object key
+ * @returns {Promise<object>} Object metadata (lowercase keys)
+ */
+const getObjectMetadata = async (bucket, key) => {
+  const response = await s3Client.headObject({ Bucket: bucket, Key: key });
+  return response.Metadata || {};
+}
+
 /**
  * Generate a presigned URL for the S3 object
  * @param {string} bucket - S3 bucket name
@@ -44,6 +217,116 @@ const getPresignedUrl = async (bucket, key, expiration = 3600) => {
   return getSignedUrl(s3Client, command, { expiresIn: expiration });
 }
 
+// Key provider holding the recorder's master key, created on first use
+let keyProvider = null;
+
+/**
+ * Unwrap the data key of an encrypted recording
+ * @param {object} metadata - S3 object metadata written by the recorder
+ * @returns {Promise<Buffer>} Data key
+ */
+const unwrapDataKey = async (metadata) => {
+  if (!keyProvider) {
+    if (!ENCRYPTION_CONFIG.keyFile) {
+      throw new Error('Recording is encrypted but ENCRYPTION_KEY_FILE is not set');
+    }
+    keyProvider = createKeyProvider('local', { keyFile: ENCRYPTION_CONFIG.keyFile });
+  }
+  // A key wrapped by another master key, or a corrupted one, won't unwrap on a retry either
+  try {
+    return await keyProvider.decryptDataKey(metadata['encryption-wrapped-key'], metadata['encryption-key-id']);
+  } catch (error) {
+    throw Object.assign(error, { permanent: true });
+  }
+}
+
+/**
+ * Decrypt an encrypted recording and upload it to AssemblyAI
+ * The plaintext is streamed straight to AssemblyAI and never written back to the bucket.
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 object key
+ * @param {object} metadata - S3 object metadata written by the recorder
+ * @param {string} apiKey - AssemblyAI API key
+ * @returns {Promise<string>} AssemblyAI upload URL to transcribe from
+ */
+const uploadDecryptedAudio = async (bucket, key, metadata, apiKey) => {
+  if (metadata['encryption-algorithm'] !== ENCRYPTION_ALGORITHM) {
+    throw Object.assign(new Error(`Unsupported encryption algorithm: ${metadata['encryption-algorithm']}`), { permanent: true });
+  }
+
+  logger.info({ message: "Decrypting recording for transcription", key, keyId: metadata['encryption-key-id'] });
+  const dataKey = await unwrapDataKey(metadata);
+  const object = await s3Client.getObject({ Bucket: bucket, Key: key });
+  const plaintext = createDecryptStream(dataKey, { expectedIv: Buffer.from(metadata['encryption-iv'], 'base64') });
+  pipeline(object.Body, plaintext, () => {});
+
+  const response = await fetch('https://api.assemblyai.com/v2/upload', {
+    method: 'POST',
+    headers: {
+      'authorization': apiKey,
+      'content-type': 'application/octet-stream'
+    },
+    body: plaintext,
+    duplex: 'half'
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to upload decrypted audio: ${response.status} ${await response.text()}`);
+  }
+
+  const { upload_url: uploadUrl } = await response.json();
+  return uploadUrl;
+}
+
+/**
+ * Call the AssemblyAI API, retrying rate limiting, server errors and network failures
+ * A POST is only retried on 429 and 503, which mean it wasn't processed; after a network error
+ * or another server error a transcript may already exist, and a retry would pay for it twice.
+ * Retries back off exponentially with jitter and honour a Retry-After header.
+ * @param {string} url - Request URL
+ * @param {object} options - fetch options
+ * @returns {Promise<Response>} The first response that isn't retryable, or the last one
+ */
+const fetchWithRetry = async (url, options) => {
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let networkError = null;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      networkError = error;
+    }
+
+    const retryable = options.method === 'POST'
+      ? response !== null && (response.status === 429 || response.status === 503)
+      : networkError || response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= PROCESSING_CONFIG.maxAttempts) {
+      if (networkError) {
+        throw networkError;
+      }
+      return response;
+    }
+
+    const retryAfterSeconds = response && parseInt(response.headers.get('retry-after'), 10);
+    const backoffMs = Math.min(PROCESSING_CONFIG.baseDelayMs * 2 ** (attempt - 1), PROCESSING_CONFIG.maxDelayMs);
+    const delayMs = retryAfterSeconds > 0
+      ? retryAfterSeconds * 1000
+      : Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+
+    logger.info({
+      message: "Retrying AssemblyAI request",
+      method: options.method,
+      status: response ? response.status : null,
+      error: networkError ? networkError.message : undefined,
+      attempt,
+      delay_ms: delayMs
+    });
+    await sleep(delayMs);
+  }
+}
+
 /**
  * Delete transcript data from AssemblyAI's database
  * @param {string} transcriptId - The AssemblyAI transcript ID to delete
@@ -52,7 +335,7 @@ const getPresignedUrl = async (bucket, key, expiration = 3600) => {
  */
 const deleteTranscriptFromAssemblyAI = async (transcriptId, apiKey) => {
   try {
-    const response = await fetch(`https://api.assemblyai.com/v2/transcript/${transcriptId}`, {
+    const response = await fetchWithRetry(`https://api.assemblyai.com/v2/transcript/${transcriptId}`, {
       method: 'DELETE',
       headers: {
         'authorization': apiKey,
@@ -81,7 +364,7 @@ const deleteTranscriptFromAssemblyAI = async (transcriptId, apiKey) => {
  * @returns {Promise<string>} Transcript ID
  */
 const submitTranscriptionRequest = async (requestData, apiKey) => {
-  const response = await fetch('https://api.assemblyai.com/v2/transcript', {
+  const response = await fetchWithRetry('https://api.assemblyai.com/v2/transcript', {
     method: 'POST',
     headers: {
       'authorization': apiKey,
@@ -92,7 +375,9 @@ const submitTranscriptionRequest = async (requestData, apiKey) => {
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Failed to submit audio for transcription: ${errorText}`);
+    // A rejected request (other than rate limiting) fails the same way every time
+    const permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+    throw Object.assign(new Error(`Failed to submit audio for transcription: ${response.status} ${errorText}`), { permanent });
   }
 
   const responseData = await response.json();
@@ -106,132 +391,767 @@ const submitTranscriptionRequest = async (requestData, apiKey) => {
   return transcriptId;
 }
 
+/**
+ * Fetch a transcript from AssemblyAI
+ * @param {string} transcriptId - Transcript ID
+ * @param {string} apiKey - AssemblyAI API key
+ * @returns {Promise<object>} Transcription data
+ */
+const fetchTranscript = async (transcriptId, apiKey) => {
+  const response = await fetchWithRetry(`https://api.assemblyai.com/v2/transcript/${transcriptId}`, {
+    method: 'GET',
+    headers: {
+      'authorization': apiKey,
+      'content-type': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to fetch transcript ${transcriptId}: ${errorText}`);
+  }
+
+  return response.json();
+}
+
 /**
  * Poll for transcription completion
+ * Gives up once the deadline passes so a long call can't run the function into its timeout.
  * @param {string} transcriptId - Transcript ID
  * @param {string} apiKey - AssemblyAI API key
+ * @param {number} deadline - Time (ms since epoch) after which polling stops
  * @returns {Promise<object>} Transcription data
  */
-const pollTranscriptionStatus = async (transcriptId, apiKey) => {
+const pollTranscriptionStatus = async (transcriptId, apiKey, deadline) => {
   const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
   
-  // Keep polling until we get a completion or error
-  while (true) {
-    const response = await fetch(`https://api.assemblyai.com/v2/transcript/${transcriptId}`, {
-      method: 'GET',
-      headers: {
-        'authorization': apiKey,
-        'content-type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to poll transcription status: ${errorText}`);
-    }
-
-    const pollingData = await response.json();
+  // Keep polling until we get a completion, an error or run out of time
+  while (Date.now() + POLL_CONFIG.intervalMs < deadline) {
+    const pollingData = await fetchTranscript(transcriptId, apiKey);
 
     if (pollingData.status === 'completed') {
       logger.info({ message: "Transcription completed successfully" });
       return pollingData;
     } else if (pollingData.status === 'error') {
-      throw new Error(`Transcription failed: ${pollingData.error}`);
+      // Marked so the caller submits the audio again instead of resuming this transcript
+      throw Object.assign(new Error(`Transcription failed: ${pollingData.error}`), { transcriptFailed: true });
     }
     
     // Wait before polling again
-    await sleep(3000);
+    await sleep(POLL_CONFIG.intervalMs);
   }
+
+  throw new Error(`Timed out waiting for transcript ${transcriptId}`);
+}
+
+/**
+ * Build the webhook URL AssemblyAI calls when a transcript is ready
+ * The audio location travels in the query string so the callback knows where to store the result.
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 key of the audio file
+ * @returns {string} Webhook URL
+ */
+const buildWebhookUrl = (bucket, key) => {
+  const url = new URL(WEBHOOK_CONFIG.url);
+  url.searchParams.set('bucket', bucket);
+  url.searchParams.set('key', key);
+  return url.toString();
 }
 
 /**
- * Transcribe audio using AssemblyAI API
+ * Submit audio for transcription using AssemblyAI API
+ * In webhook mode the transcript arrives through `webhookHandler`; in poll mode the
+ * caller waits for it with `pollTranscriptionStatus`.
  * @param {string} audioUrl - URL of the audio file
+ * @param {object} transcriptionConfig - AssemblyAI request parameters
  * @param {string} apiKey - AssemblyAI API key
- * @returns {Promise<object>} Transcription data
+ * @param {string} webhookUrl - Webhook URL (webhook mode only)
+ * @returns {Promise<string>} Transcript ID
  */
-const transcribeAudio = async (audioUrl, apiKey) => {
-  logger.info({ message: "Starting audio transcription" });
+const transcribeAudio = async (audioUrl, transcriptionConfig, apiKey, webhookUrl) => {
+  logger.info({ message: "Starting audio transcription", config: transcriptionConfig });
 
-  // Prepare request data with config parameters
-  const requestData = { audio_url: audioUrl, ...ASSEMBLYAI_CONFIG };
-  
-  // Submit the audio file for transcription
-  const transcriptId = await submitTranscriptionRequest(requestData, apiKey);
+  // Prepare request data with config parameters; the audio and webhook fields always win
+  const requestData = { ...transcriptionConfig, audio_url: audioUrl };
+  if (webhookUrl) {
+    requestData.webhook_url = webhookUrl;
+    requestData.webhook_auth_header_name = WEBHOOK_CONFIG.authHeaderName;
+    requestData.webhook_auth_header_value = WEBHOOK_CONFIG.authHeaderValue;
+  }
   
-  // Poll for transcription completion
-  return await pollTranscriptionStatus(transcriptId, apiKey);
+  return await submitTranscriptionRequest(requestData, apiKey);
 }
 
 /**
- * Lambda function handler
- * @param {object} event - S3 event
- * @param {object} context - Lambda context
- * @returns {Promise<object>} Response
+ * Derive the transcript key from the audio key
+ * @param {string} key - S3 key of the audio file
+ * @returns {string} S3 key of the transcript JSON
  */
-export const handler = async (event, context) => {
+const getTranscriptKey = (key) => {
+  // Maintain the path structure, but swap the recording's audio/ folder for transcripts/
+  const folders = key.split('/');
+  const filename = folders.pop();
+  if (folders[folders.length - 1] === 'audio') {
+    folders[folders.length - 1] = 'transcripts';
+  } else {
+    folders.push('transcripts');
+  }
+  return [...folders, filename.replace(/\.[^.\/]+$/, '') + '.json'].join('/');
+}
+
+/**
+ * Derive the in-progress marker key from the audio key
+ * @param {string} key - S3 key of the audio file
+ * @returns {string} S3 key of the marker object
+ */
+const getMarkerKey = (key) => {
+  return getTranscriptKey(key).replace(/\.json$/, '.in-progress.json');
+}
+
+/**
+ * Check whether an object should be transcribed at all
+ * Only configured suffixes are accepted, and the per-channel copies the recorder writes
+ * under channels/ are skipped since the stereo WAV is already transcribed per channel.
+ * @param {string} key - S3 object key
+ * @returns {boolean} True if the object should be transcribed
+ */
+const isTranscribable = (key) => {
+  const lowerKey = key.toLowerCase();
+  if (!TRANSCRIBE_SUFFIXES.some(suffix => lowerKey.endsWith(suffix))) {
+    return false;
+  }
+  const folders = key.split('/').slice(0, -1);
+  return folders[folders.length - 1] !== 'channels';
+}
+
+/**
+ * HEAD an object, treating a missing object as null
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 object key
+ * @returns {Promise<object|null>} HeadObject response, or null if the object doesn't exist
+ */
+const headObjectIfExists = async (bucket, key) => {
+  try {
+    return await s3Client.headObject({ Bucket: bucket, Key: key });
+  } catch (error) {
+    if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the transcript ID a poll mode attempt stored in a recording's in-progress marker
+ * @param {string} bucket - S3 bucket name
+ * @param {string} markerKey - S3 key of the marker object
+ * @returns {Promise<string|null>} Transcript ID, or null if none was stored
+ */
+const readMarkerTranscriptId = async (bucket, markerKey) => {
+  try {
+    const response = await s3Client.getObject({ Bucket: bucket, Key: markerKey });
+    const marker = JSON.parse(await response.Body.transformToString());
+    return marker.transcriptId || null;
+  } catch (error) {
+    if (error.name === 'NoSuchKey' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Claim a recording for transcription so S3 event redelivery doesn't pay for it twice
+ * The marker is created with a conditional write, so only one invocation wins; a marker
+ * older than MARKER_TTL_SECONDS is treated as abandoned and taken over. In poll mode, a
+ * marker holding the transcript ID of an earlier attempt hands that transcript over to be
+ * polled again rather than submitting the audio a second time.
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 key of the audio file
+ * @returns {Promise<object>} { skipReason } if the recording was skipped, { transcriptId } to
+ *   resume an earlier attempt, or an empty object if it was claimed
+ */
+const claimTranscription = async (bucket, key) => {
+  if (await headObjectIfExists(bucket, getTranscriptKey(key))) {
+    return { skipReason: 'transcript already exists' };
+  }
+
+  const markerKey = getMarkerKey(key);
+  const marker = await headObjectIfExists(bucket, markerKey);
+  if (marker && COMPLETION_MODE === 'poll') {
+    const transcriptId = await readMarkerTranscriptId(bucket, markerKey);
+    if (transcriptId) {
+      return { transcriptId };
+    }
+  }
+
+  const isStale = marker && Date.now() - marker.LastModified.getTime() > MARKER_TTL_SECONDS * 1000;
+  if (marker && !isStale) {
+    return { skipReason: 'transcription already in progress' };
+  }
+
   try {
-    // Get the AssemblyAI API key from environment variables
-    const apiKey = process.env.ASSEMBLYAI_API_KEY;
-    if (!apiKey) {
-      throw new Error("ASSEMBLYAI_API_KEY environment variable is not set");
+    await s3Client.putObject({
+      Bucket: bucket,
+      Key: markerKey,
+      Body: JSON.stringify({ audioKey: key, claimedAt: new Date().toISOString() }),
+      ContentType: 'application/json',
+      // Overwrite an abandoned marker, but never race another invocation for a fresh claim
+      ...(isStale ? {} : { IfNoneMatch: '*' })
+    });
+  } catch (error) {
+    if (error.name === 'PreconditionFailed' || (error.$metadata && error.$metadata.httpStatusCode === 412)) {
+      return { skipReason: 'transcription already in progress' };
     }
+    throw error;
+  }
 
-    // Process each record in the S3 event
-    const records = event.Records || [];
+  return {};
+}
+
+/**
+ * Store the submitted transcript's ID in the recording's in-progress marker
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 key of the audio file
+ * @param {string} transcriptId - Transcript ID
+ */
+const recordSubmittedTranscript = async (bucket, key, transcriptId) => {
+  await s3Client.putObject({
+    Bucket: bucket,
+    Key: getMarkerKey(key),
+    Body: JSON.stringify({ audioKey: key, transcriptId, submittedAt: new Date().toISOString() }),
+    ContentType: 'application/json'
+  });
+}
+
+/**
+ * Release a recording's in-progress marker
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 key of the audio file
+ */
+const releaseTranscription = async (bucket, key) => {
+  await s3Client.deleteObject({ Bucket: bucket, Key: getMarkerKey(key) });
+}
+
+// Who is on each Genesys channel
+const CHANNEL_ROLES = {
+  external: 'Customer',
+  internal: 'Agent'
+};
+
+/**
+ * Build the compact, vendor-neutral transcript consumed by QA and CRM tools
+ * Multichannel utterances are labelled with the role of their channel; diarized
+ * mono utterances keep the speaker letter AssemblyAI assigned.
+ * @param {object} transcriptData - Transcript JSON from AssemblyAI
+ * @param {object} metadata - S3 object metadata of the recording
+ * @returns {object} Normalized transcript
+ */
+const normalizeTranscript = (transcriptData, metadata) => {
+  const channels = metadata.channels ? metadata.channels.split(',') : [];
+
+  const speakerFor = (utterance) => {
+    if (utterance.channel !== undefined && utterance.channel !== null) {
+      // AssemblyAI numbers channels from 1 in the order they appear in the WAV
+      const channel = channels[parseInt(utterance.channel, 10) - 1];
+      return { speaker: CHANNEL_ROLES[channel] || `Channel ${utterance.channel}`, channel: channel || null };
+    }
+    return { speaker: utterance.speaker ? `Speaker ${utterance.speaker}` : 'Speaker', channel: null };
+  };
+
+  const sourceUtterances = transcriptData.utterances && transcriptData.utterances.length > 0
+    ? transcriptData.utterances
+    : [{ start: 0, end: Math.round((transcriptData.audio_duration || 0) * 1000), text: transcriptData.text || '', confidence: transcriptData.confidence }];
+
+  const utterances = sourceUtterances
+    .filter(utterance => utterance.text)
+    .map(utterance => ({
+      ...speakerFor(utterance),
+      start: utterance.start / 1000,
+      end: utterance.end / 1000,
+      text: utterance.text,
+      confidence: utterance.confidence
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  return {
+    version: 1,
+    transcriptId: transcriptData.id,
+    conversationId: metadata['conversation-id'] || null,
+    participantId: metadata['participant-id'] || null,
+    organizationId: metadata['organization-id'] || null,
+    language: transcriptData.language_code || metadata.language || null,
+    duration: transcriptData.audio_duration || null,
+    channels,
+    utterances
+  };
+}
+
+/**
+ * Format seconds as a caption timestamp
+ * @param {number} seconds - Offset in seconds
+ * @param {string} separator - Decimal separator (',' for SRT, '.' for WebVTT)
+ * @returns {string} Timestamp as HH:MM:SS,mmm
+ */
+const formatCaptionTime = (seconds, separator) => {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Render a normalized transcript as a readable dialogue
+ * @param {object} transcript - Normalized transcript
+ * @returns {string} Dialogue text
+ */
+const formatDialogue = (transcript) => {
+  return transcript.utterances
+    .map(utterance => `[${formatCaptionTime(utterance.start, '.').slice(0, 8)}] ${utterance.speaker}: ${utterance.text}`)
+    .join('\n') + '\n';
+}
+
+/**
+ * Render a normalized transcript as SRT captions
+ * @param {object} transcript - Normalized transcript
+ * @returns {string} SRT document
+ */
+const formatSrt = (transcript) => {
+  return transcript.utterances
+    .map((utterance, index) => [
+      index + 1,
+      `${formatCaptionTime(utterance.start, ',')} --> ${formatCaptionTime(utterance.end, ',')}`,
+      `${utterance.speaker}: ${utterance.text}`
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Escape text for a WebVTT cue
+ * Escaping > also breaks up any "-->" that would otherwise read as a cue timing line,
+ * and line breaks are flattened since a blank line ends the cue.
+ * @param {string} text - Cue text or voice name
+ * @returns {string} Escaped text
+ */
+const escapeWebVtt = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * Render a normalized transcript as WebVTT captions
+ * @param {object} transcript - Normalized transcript
+ * @returns {string} WebVTT document
+ */
+const formatWebVtt = (transcript) => {
+  const cues = transcript.utterances.map(utterance => [
+    `${formatCaptionTime(utterance.start, '.')} --> ${formatCaptionTime(utterance.end, '.')}`,
+    `<v ${escapeWebVtt(utterance.speaker)}>${escapeWebVtt(utterance.text)}`
+  ].join('\n'));
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Store a transcript and its derived formats next to the audio in S3
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 key of the audio file
+ * @param {object} transcriptData - Transcript JSON from AssemblyAI
+ * @param {object} metadata - S3 object metadata of the recording
+ * @returns {Promise<string>} S3 key of the stored transcript
+ */
+const storeTranscript = async (bucket, key, transcriptData, metadata) => {
+  const transcriptKey = getTranscriptKey(key);
+  const baseKey = transcriptKey.replace(/\.json$/, '');
+  const transcript = normalizeTranscript(transcriptData, metadata);
+  
+  // Raw AssemblyAI JSON first, then the formats derived from it
+  const outputs = [
+    { key: transcriptKey, body: JSON.stringify(transcriptData, null, 2), contentType: 'application/json' },
+    { key: `${baseKey}.normalized.json`, body: JSON.stringify(transcript, null, 2), contentType: 'application/json' },
+    { key: `${baseKey}.txt`, body: formatDialogue(transcript), contentType: 'text/plain; charset=utf-8' },
+    { key: `${baseKey}.srt`, body: formatSrt(transcript), contentType: 'application/x-subrip' },
+    { key: `${baseKey}.vtt`, body: formatWebVtt(transcript), contentType: 'text/vtt' }
+  ];
+
+  for (const output of outputs) {
+    await s3Client.putObject({
+      Bucket: bucket,
+      Key: output.key,
+      Body: output.body,
+      ContentType: output.contentType
+    });
+  }
+  
+  logger.info({
+    message: "Transcript uploaded to transcript bucket successfully.",
+    key: transcriptKey,
+    formats: outputs.map(output => output.key)
+  });
+
+  await releaseTranscription(bucket, key);
+
+  return transcriptKey;
+}
+
+/**
+ * Get the AssemblyAI API key from environment variables
+ * @returns {string} AssemblyAI API key
+ */
+const getApiKey = () => {
+  const apiKey = process.env.ASSEMBLYAI_API_KEY;
+  if (!apiKey) {
+    throw new Error("ASSEMBLYAI_API_KEY environment variable is not set");
+  }
+  return apiKey;
+}
+
+/**
+ * Compare a received webhook auth header with the configured value in constant time
+ * @param {string} received - Header value from the callback
+ * @returns {boolean} True if the header matches
+ */
+const isValidWebhookAuth = (received) => {
+  if (!WEBHOOK_CONFIG.authHeaderValue || typeof received !== 'string') {
+    return false;
+  }
+  const expected = createHash('sha256').update(WEBHOOK_CONFIG.authHeaderValue).digest();
+  return timingSafeEqual(createHash('sha256').update(received).digest(), expected);
+}
+
+/**
+ * Build an HTTP response for API Gateway / function URLs
+ * @param {number} statusCode - HTTP status code
+ * @param {object} body - Response body
+ * @returns {object} Response
+ */
+const httpResponse = (statusCode, body) => ({
+  statusCode,
+  headers: { 'content-type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+/**
+ * Transcribe one recording
+ * @param {object} item - Work item with the recording's bucket and key
+ * @param {string} apiKey - AssemblyAI API key
+ * @param {object} context - Lambda context
+ * @returns {Promise<string>} Outcome ('skipped', 'submitted' or 'stored')
+ */
+const processRecord = async ({ bucket, key }, apiKey, context) => {
+  if (!isTranscribable(key)) {
+    logger.info({ message: "Skipping object that is not a transcribable recording", key });
+    return 'skipped';
+  }
+
+  const claim = await claimTranscription(bucket, key);
+  if (claim.skipReason) {
+    logger.info({ message: `Skipping recording: ${claim.skipReason}`, key });
+    return 'skipped';
+  }
+
+  let transcriptId = claim.transcriptId || null;
+  if (transcriptId) {
+    logger.info({ message: "Resuming transcript submitted by an earlier attempt", key, transcript_id: transcriptId });
+  }
+
+  try {
+    const metadata = await getObjectMetadata(bucket, key);
     
-    for (const record of records) {
-      // Get the S3 bucket and key
-      const bucket = record.s3.bucket.name;
-      const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
-      
-      // Generate a presigned URL for the audio file
-      const audioUrl = await getPresignedUrl(bucket, key);
-      
-      // Get the full transcript JSON from AssemblyAI
-      const transcriptData = await transcribeAudio(audioUrl, apiKey);
-      
-      // Prepare the transcript key - maintaining path structure but changing directory and extension
-      const transcriptKey = key
-        .replace('audio', 'transcripts', 1)
-        .replace('.wav', '.json');
+    if (!transcriptId) {
+      // Build the request from the recording's metadata
+      const transcriptionConfig = buildTranscriptionConfig(metadata);
       
-      // Convert the JSON data to a string
-      const transcriptJsonStr = JSON.stringify(transcriptData, null, 2);
+      // Encrypted recordings are decrypted and uploaded to AssemblyAI; others are fetched through a presigned URL
+      const audioUrl = metadata['encryption-algorithm']
+        ? await uploadDecryptedAudio(bucket, key, metadata, apiKey)
+        : await getPresignedUrl(bucket, key);
       
-      // Upload the transcript JSON to the same bucket but in transcripts directory
-      await s3Client.putObject({
-        Bucket: bucket,  // Use the same bucket
-        Key: transcriptKey, // Store under the /transcripts directory
-        Body: transcriptJsonStr,
-        ContentType: 'application/json'
-      });
-      
-      logger.info({
-        message: "Transcript uploaded to transcript bucket successfully.",
-        key: transcriptKey
-      });
+      if (COMPLETION_MODE === 'webhook') {
+        // The transcript is stored (and the marker released) by webhookHandler once AssemblyAI is done
+        await transcribeAudio(audioUrl, transcriptionConfig, apiKey, buildWebhookUrl(bucket, key));
+        return 'submitted';
+      }
       
-      // Uncomment the following line to delete transcript data from AssemblyAI after saving to S3
-      // https://www.assemblyai.com/docs/api-reference/transcripts/delete
-      // await deleteTranscriptFromAssemblyAI(transcriptData.id, apiKey);
+      transcriptId = await transcribeAudio(audioUrl, transcriptionConfig, apiKey);
+      await recordSubmittedTranscript(bucket, key, transcriptId);
+    }
+    
+    // Poll for the full transcript JSON, leaving time to store it before the function times out
+    const remainingMs = context && context.getRemainingTimeInMillis
+      ? context.getRemainingTimeInMillis() - POLL_CONFIG.safetyMarginMs
+      : POLL_CONFIG.timeoutMs;
+    const deadline = Date.now() + Math.min(remainingMs, POLL_CONFIG.timeoutMs);
+    const transcriptData = await pollTranscriptionStatus(transcriptId, apiKey, deadline);
+    
+    await storeTranscript(bucket, key, transcriptData, metadata);
+    
+    // Uncomment the following line to delete transcript data from AssemblyAI after saving to S3
+    // https://www.assemblyai.com/docs/api-reference/transcripts/delete
+    // await deleteTranscriptFromAssemblyAI(transcriptData.id, apiKey);
+    return 'stored';
+  } catch (error) {
+    // A submitted transcript keeps its marker so a redelivery polls it again instead of paying
+    // for the audio twice; only a transcript AssemblyAI reports as failed is submitted afresh
+    if (transcriptId && !error.transcriptFailed) {
+      throw error;
+    }
+    
+    // Let a redelivery of the event try again
+    await releaseTranscription(bucket, key).catch(releaseError => {
+      logger.error({ message: "Failed to release in-progress marker", key, error: releaseError.message });
+    });
+    throw error;
+  }
+}
+
+/**
+ * Turn an invocation event into work items, one per recording
+ * Records arrive straight from S3 or as S3 notifications delivered through SQS;
+ * SQS items keep their message id and receive count for partial batch responses.
+ * @param {object} event - Lambda event
+ * @returns {Array<object>} Work items ({ bucket, key, messageId, receiveCount } or { messageId, error })
+ */
+const collectWorkItems = (event) => {
+  const toItem = (s3Record, extra = {}) => ({
+    bucket: s3Record.s3.bucket.name,
+    key: decodeURIComponent(s3Record.s3.object.key.replace(/\+/g, ' ')),
+    ...extra
+  });
+
+  const items = [];
+  for (const record of event.Records || []) {
+    if (record.eventSource !== 'aws:sqs') {
+      items.push(toItem(record));
+      continue;
     }
 
-    return {
-      statusCode: 200,
-      body: JSON.stringify({
-        message: "Audio file(s) processed successfully",
-        detail: "Transcripts have been stored in the AssemblyAITranscripts directory"
-      })
+    const extra = {
+      messageId: record.messageId,
+      receiveCount: parseInt((record.attributes && record.attributes.ApproximateReceiveCount) || '1', 10)
     };
+    try {
+      // S3 sends a test event without records when the notification is set up
+      const body = JSON.parse(record.body);
+      for (const s3Record of body.Records || []) {
+        items.push(toItem(s3Record, extra));
+      }
+    } catch (error) {
+      items.push({ ...extra, error });
+    }
+  }
+  return items;
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array<object>>} Settled results in item order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Store a record that keeps failing under the dead-letter prefix for manual follow-up
+ * @param {object} item - Work item
+ * @param {Error} error - Last error
+ */
+const deadLetterRecord = async (item, error) => {
+  const deadLetterKey = `${PROCESSING_CONFIG.deadLetterPrefix}${item.key}.json`;
+  await s3Client.putObject({
+    Bucket: item.bucket,
+    Key: deadLetterKey,
+    Body: JSON.stringify({
+      bucket: item.bucket,
+      key: item.key,
+      messageId: item.messageId || null,
+      receiveCount: item.receiveCount || 1,
+      error: error.message,
+      failedAt: new Date().toISOString()
+    }, null, 2),
+    ContentType: 'application/json'
+  });
+  logger.error({ message: "Recording moved to dead-letter prefix", key: item.key, dead_letter_key: deadLetterKey });
+}
+
+/**
+ * Lambda function handler
+ * Each recording is handled on its own: one failure never stops the rest of the batch.
+ * Permanent failures (errors marked `permanent`, such as a request AssemblyAI rejects) are dead-lettered
+ * straight away. Through SQS, other failed messages are returned as batchItemFailures so only they are
+ * redelivered, until a message has been received DEAD_LETTER_AFTER_RECEIVES times and is dead-lettered.
+ * Invoked directly by S3, the function fails instead so Lambda's async retries apply.
+ * @param {object} event - S3 or SQS event
+ * @param {object} context - Lambda context
+ * @returns {Promise<object>} Response, or { batchItemFailures } for SQS
+ */
+export const handler = async (event, context) => {
+  const apiKey = getApiKey();
+  if (COMPLETION_MODE === 'webhook' && (!WEBHOOK_CONFIG.url || !WEBHOOK_CONFIG.authHeaderValue)) {
+    throw new Error("WEBHOOK_URL and WEBHOOK_AUTH_HEADER_VALUE must be set in webhook mode");
+  }
+
+  const isSqs = (event.Records || []).some(record => record.eventSource === 'aws:sqs');
+  const items = collectWorkItems(event);
+  const remainingTime = () => (context && context.getRemainingTimeInMillis ? context.getRemainingTimeInMillis() : Infinity);
+
+  const results = await mapWithConcurrency(items, PROCESSING_CONFIG.concurrency, async (item) => {
+    if (item.error) {
+      throw item.error;
+    }
+    // Leave records we can't finish for a later invocation rather than being cut off mid-way
+    if (remainingTime() < PROCESSING_CONFIG.minTimeToStartMs) {
+      return 'deferred';
+    }
+    return processRecord(item, apiKey, context);
+  });
+
+  const failedMessages = new Set();
+  const summary = { processed: 0, skipped: 0, deferred: 0, failed: 0, deadLettered: 0 };
+
+  for (const [index, result] of results.entries()) {
+    const item = items[index];
+
+    if (result.status === 'fulfilled') {
+      if (result.value === 'deferred') {
+        summary.deferred++;
+        if (item.messageId) {
+          failedMessages.add(item.messageId);
+        }
+      } else {
+        summary[result.value === 'skipped' ? 'skipped' : 'processed']++;
+      }
+      continue;
+    }
+
+    logger.error({ message: "Error processing record", key: item.key, message_id: item.messageId, error: result.reason.message });
+
+    // Unparseable messages have no recording to dead-letter; the queue's redrive policy handles them
+    const giveUp = result.reason.permanent || (isSqs && item.receiveCount >= PROCESSING_CONFIG.deadLetterAfterReceives);
+    if (giveUp && item.key) {
+      try {
+        await deadLetterRecord(item, result.reason);
+        summary.deadLettered++;
+        continue;
+      } catch (error) {
+        logger.error({ message: "Failed to dead-letter record", key: item.key, error: error.message });
+      }
+    }
+
+    summary.failed++;
+    if (item.messageId) {
+      failedMessages.add(item.messageId);
+    }
+  }
+
+  logger.info({ message: "Batch processed", ...summary });
+
+  if (isSqs) {
+    return { batchItemFailures: Array.from(failedMessages, itemIdentifier => ({ itemIdentifier })) };
+  }
+
+  // Async S3 invocations are retried when the function fails; idempotency skips what's done
+  if (summary.failed > 0 || summary.deferred > 0) {
+    throw new Error(`${summary.failed} record(s) failed and ${summary.deferred} ran out of time`);
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      message: "Audio file(s) processed",
+      ...summary,
+      detail: COMPLETION_MODE === 'webhook'
+        ? "Transcripts will be stored in the transcripts directory when AssemblyAI calls back"
+        : "Transcripts have been stored in the transcripts directory"
+    })
+  };
+};
+
+/**
+ * Webhook handler for AssemblyAI completion callbacks (API Gateway or Lambda function URL)
+ * @param {object} event - HTTP event
+ * @returns {Promise<object>} HTTP response
+ */
+export const webhookHandler = async (event) => {
+  try {
+    // API Gateway v1 keeps header case, function URLs and v2 lowercase them
+    const headers = Object.fromEntries(
+      Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    if (!isValidWebhookAuth(headers[WEBHOOK_CONFIG.authHeaderName.toLowerCase()])) {
+      logger.error({ message: "Rejected webhook with invalid auth header" });
+      return httpResponse(401, { message: "Unauthorized" });
+    }
+
+    const query = event.queryStringParameters || {};
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body;
+    let payload;
+    try {
+      payload = JSON.parse(rawBody || '{}');
+    } catch (error) {
+      return httpResponse(400, { message: "Invalid JSON body" });
+    }
+
+    if (!payload.transcript_id || !query.bucket || !query.key) {
+      return httpResponse(400, { message: "Missing transcript_id, bucket or key" });
+    }
+
+    logger.info({
+      message: "Received transcription webhook",
+      transcript_id: payload.transcript_id,
+      status: payload.status,
+      key: query.key
+    });
+
+    // Nothing to store for failed transcripts; acknowledge so AssemblyAI doesn't retry
+    if (payload.status === 'error') {
+      const transcriptData = await fetchTranscript(payload.transcript_id, getApiKey());
+      logger.error({
+        message: "Transcription failed",
+        transcript_id: payload.transcript_id,
+        error: transcriptData.error
+      });
+      await releaseTranscription(query.bucket, query.key);
+      return httpResponse(200, { message: "Transcription failed", error: transcriptData.error });
+    }
+
+    const transcriptData = await fetchTranscript(payload.transcript_id, getApiKey());
+    if (transcriptData.status !== 'completed') {
+      return httpResponse(409, { message: `Transcript is ${transcriptData.status}` });
+    }
+
+    const metadata = await getObjectMetadata(query.bucket, query.key);
+    const transcriptKey = await storeTranscript(query.bucket, query.key, transcriptData, metadata);
+
+    // Uncomment the following line to delete transcript data from AssemblyAI after saving to S3
+    // await deleteTranscriptFromAssemblyAI(transcriptData.id, getApiKey());
+
+    return httpResponse(200, { message: "Transcript stored", key: transcriptKey });
   } catch (error) {
-    console.error(`Error: ${error.message}`);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        message: "Error processing audio file(s)",
-        error: error.message
-      })
-    };
+    logger.error({ message: "Error handling webhook", error: error.message });
+    // A 5xx makes AssemblyAI retry the callback
+    return httpResponse(500, { message: "Error handling webhook", error: error.message });
   }
-};
\ No newline at end of file
+};
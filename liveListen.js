@@ -0,0 +1,156 @@
+import { randomUUID } from 'crypto';
+import { buildWavHeader } from './audioUtils.js';
+
+// Channels a supervisor can listen to; 'mixed' sums every channel of the session
+export const LISTEN_CHANNELS = ['external', 'internal', 'mixed'];
+
+// RIFF and data size of a WAV stream of unknown length
+const STREAMING_WAV_SIZE = 0xffffffff;
+
+/**
+ * Build a mono PCM16 WAV header for a stream whose length isn't known up front
+ * @param {number} sampleRate Sample rate in Hz
+ * @returns {Buffer} Header to be followed by the PCM data
+ */
+export const buildStreamingWavHeader = (sampleRate) => {
+  const header = buildWavHeader({ channels: 1, sampleRate, dataLength: 0 });
+  header.writeUInt32LE(STREAMING_WAV_SIZE, 4);
+  header.writeUInt32LE(STREAMING_WAV_SIZE, header.length - 4);
+  return header;
+}
+
+/**
+ * Find the interleaved channel indexes that make up a listen channel
+ * @param {Array<string>} channelTypes Channel labels of the session (e.g. ['external', 'internal'])
+ * @param {string} channel Requested listen channel
+ * @returns {Array<number>|null} Channel indexes, or null if the session doesn't carry the channel
+ */
+export const resolveChannelIndexes = (channelTypes, channel) => {
+  if (channel === 'mixed') {
+    return channelTypes.map((type, index) => index);
+  }
+  const index = channelTypes.indexOf(channel);
+  return index === -1 ? null : [index];
+}
+
+/**
+ * Mix some channels of interleaved PCM16LE audio down to mono
+ * Samples are summed and clipped, so a single channel is copied unchanged.
+ * @param {Buffer} pcm Interleaved PCM16LE audio
+ * @param {number} channelCount Number of interleaved channels
+ * @param {Array<number>} indexes Channels to mix
+ * @returns {Buffer} Mono PCM16LE audio
+ */
+export const mixChannels = (pcm, channelCount, indexes) => {
+  const frames = Math.floor(pcm.length / 2 / channelCount);
+  const output = Buffer.alloc(frames * 2);
+
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (const index of indexes) {
+      sum += pcm.readInt16LE((frame * channelCount + index) * 2);
+    }
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, sum)), frame * 2);
+  }
+
+  return output;
+}
+
+/**
+ * Wrap a transport in a listener that drops audio instead of queueing it for a slow consumer
+ * @param {object} transport Transport with kind, bufferedBytes(), send(pcm), close(reason) and onClose(callback)
+ * @param {object} options Listener options
+ * @returns {object} Listener
+ */
+const createListener = (transport, { channel, indexes, maxBufferedBytes, onDrop = () => {}, onClose = () => {} }) => {
+  const listener = {
+    id: randomUUID(),
+    channel,
+    indexes,
+    transport: transport.kind,
+    sentBytes: 0,
+    droppedBytes: 0,
+    closed: false,
+
+    /**
+     * Send mono PCM16 audio, or drop it if the consumer has fallen behind
+     * @param {Buffer} pcm Mono PCM16LE audio
+     */
+    write(pcm) {
+      if (listener.closed) {
+        return;
+      }
+      if (transport.bufferedBytes() + pcm.length > maxBufferedBytes) {
+        listener.droppedBytes += pcm.length;
+        onDrop(pcm.length);
+        return;
+      }
+      transport.send(pcm);
+      listener.sentBytes += pcm.length;
+    },
+
+    /**
+     * Stop the stream
+     * @param {string} reason Why the stream ended
+     */
+    close(reason) {
+      if (!listener.closed) {
+        transport.close(reason);
+      }
+    }
+  };
+
+  transport.onClose(() => {
+    if (!listener.closed) {
+      listener.closed = true;
+      onClose(listener);
+    }
+  });
+
+  return listener;
+}
+
+/**
+ * Create a listener that sends each frame as a self-contained mono PCM16 WAV over a WebSocket
+ * @param {WebSocket} ws Supervisor WebSocket
+ * @param {object} options Listener options
+ * @param {string} options.channel Listen channel
+ * @param {Array<number>} options.indexes Session channels to mix
+ * @param {number} options.sampleRate Sample rate in Hz
+ * @param {number} options.maxBufferedBytes Audio is dropped while more than this is waiting to be sent
+ * @param {Function} options.onDrop Called with the number of dropped bytes (optional)
+ * @param {Function} options.onClose Called with the listener once the stream ends (optional)
+ * @returns {object} Listener
+ */
+export const createWebSocketListener = (ws, options) => {
+  return createListener({
+    kind: 'websocket',
+    bufferedBytes: () => ws.bufferedAmount,
+    send: (pcm) => ws.send(Buffer.concat([buildWavHeader({ channels: 1, sampleRate: options.sampleRate, dataLength: pcm.length }), pcm])),
+    close: (reason) => ws.close(1000, reason),
+    onClose: (callback) => ws.on('close', callback)
+  }, options);
+}
+
+/**
+ * Create a listener that streams one mono PCM16 WAV as a chunked HTTP response
+ * @param {http.ServerResponse} res HTTP response
+ * @param {object} options Same options as createWebSocketListener
+ * @returns {object} Listener
+ */
+export const createHttpListener = (res, options) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'audio/wav',
+    'Cache-Control': 'no-store'
+  });
+  res.write(buildStreamingWavHeader(options.sampleRate));
+
+  return createListener({
+    kind: 'http',
+    bufferedBytes: () => res.writableLength,
+    send: (pcm) => res.write(pcm),
+    close: () => res.end(),
+    onClose: (callback) => res.on('close', callback)
+  }, options);
+}
@@ -0,0 +1,131 @@
+// Leveled JSON logger. Every line is one JSON object with a timestamp, level, message,
+// the context of the logger (e.g. sessionId, conversationId, correlationId) and any extra fields.
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Fields that hold participant PII and are always masked when redaction is on
+const PII_FIELDS = new Set(['ani', 'dnis', 'aniname', 'dnisname', 'phone', 'phonenumber', 'callerid']);
+
+// E.164 numbers, tel: URIs and North American style numbers such as (555) 123-4567
+const PHONE_PATTERN = /(?:tel:)?\+\d{7,15}\b|\(?\b\d{3}\)?[ .-]?\d{3}[ .-]\d{4}\b/g;
+
+const REDACTED = '[REDACTED]';
+
+const settings = {
+  level: LOG_LEVELS.info,
+  redactPii: true
+};
+
+/**
+ * Configure the minimum level and PII redaction for all loggers
+ * @param {object} options Logger options
+ * @param {string} options.level Minimum level ('debug', 'info', 'warn' or 'error')
+ * @param {boolean} options.redactPii Mask phone numbers and participant PII fields
+ */
+export const configureLogger = ({ level, redactPii } = {}) => {
+  if (level !== undefined) {
+    if (!LOG_LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    settings.level = LOG_LEVELS[level];
+  }
+  if (redactPii !== undefined) {
+    settings.redactPii = Boolean(redactPii);
+  }
+}
+
+/**
+ * Mask phone numbers and PII fields in a value
+ * @param {*} value Value to redact
+ * @param {number} depth Current nesting depth
+ * @returns {*} Redacted copy
+ */
+export const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return value.replace(PHONE_PATTERN, REDACTED);
+  }
+  if (value === null || typeof value !== 'object' || depth > 8) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = PII_FIELDS.has(key.toLowerCase()) && item ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Turn Error objects into plain fields that survive JSON.stringify
+ * @param {object} fields Log fields
+ * @returns {object} Serializable fields
+ */
+const serializeErrors = (fields) => {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error
+      ? { name: value.name, message: value.message, code: value.code, stack: value.stack }
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Create a logger
+ * @param {object|Function} context Fields added to every line, or a function returning them
+ *   (read on every line, so values set later, such as a conversation id, are picked up)
+ * @returns {object} Logger with debug, info, warn, error, isLevelEnabled and child
+ */
+export const createLogger = (context = {}) => {
+  const resolveContext = typeof context === 'function' ? context : () => context;
+
+  const write = (level, message, fields = {}) => {
+    if (LOG_LEVELS[level] < settings.level) {
+      return;
+    }
+
+    let entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...resolveContext(),
+      ...serializeErrors(fields)
+    };
+    if (settings.redactPii) {
+      entry = redact(entry);
+    }
+
+    const line = JSON.stringify(entry);
+    if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+      process.stderr.write(line + '\n');
+    } else {
+      process.stdout.write(line + '\n');
+    }
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+
+    isLevelEnabled: (level) => LOG_LEVELS[level] >= settings.level,
+
+    // Logger that adds more context on top of this one
+    child: (extra) => {
+      const resolveExtra = typeof extra === 'function' ? extra : () => extra;
+      return createLogger(() => ({ ...resolveContext(), ...resolveExtra() }));
+    }
+  };
+}
+
+// Process-wide logger for code that isn't tied to a session
+export const logger = createLogger();
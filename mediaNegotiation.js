@@ -0,0 +1,77 @@
+/**
+ * Parse a comma-separated list from configuration
+ * @param {string} value Raw configuration value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+const parseList = (value) => {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Compare two preference ranks lexicographically
+ * @param {Array<number>} a First rank
+ * @param {Array<number>} b Second rank
+ * @returns {number} Negative if a is preferred, positive if b is, 0 if equal
+ */
+const compareRanks = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Build a media preference policy from configuration strings
+ * @param {object} options Raw configuration values
+ * @param {string} options.formats Accepted formats in preference order (e.g. 'PCMU,L16')
+ * @param {string} options.rates Accepted sample rates in preference order (e.g. '8000,16000')
+ * @param {string} options.channels Accepted channel layouts in preference order, channels
+ *   joined with '+' in interleave order (e.g. 'external+internal,external')
+ * @returns {object} Media preference policy
+ */
+export const parseMediaPreferences = ({ formats, rates, channels }) => {
+  return {
+    formats: parseList(formats).map(format => format.toUpperCase()),
+    rates: parseList(rates).map(rate => parseInt(rate, 10)),
+    channelLayouts: parseList(channels).map(layout => layout.split('+').map(channel => channel.trim()))
+  };
+}
+
+/**
+ * Pick the offered media option that best matches the preference policy
+ * Channel layout is ranked first, then format, then sample rate.
+ * @param {Array<object>} mediaOptions Media options from the open message
+ * @param {object} preferences Policy from parseMediaPreferences
+ * @returns {object|null} Selected media option, or null if none is acceptable
+ */
+export const selectMedia = (mediaOptions, preferences) => {
+  let selected = null;
+  let selectedRank = null;
+
+  for (const media of mediaOptions || []) {
+    if (media.type !== 'audio' || !Array.isArray(media.channels)) {
+      continue;
+    }
+
+    const layoutRank = preferences.channelLayouts.findIndex(layout =>
+      layout.length === media.channels.length &&
+      layout.every((channel, i) => channel === media.channels[i])
+    );
+    const formatRank = preferences.formats.indexOf(media.format);
+    const rateRank = preferences.rates.indexOf(media.rate);
+
+    if (layoutRank === -1 || formatRank === -1 || rateRank === -1) {
+      continue;
+    }
+
+    const rank = [layoutRank, formatRank, rateRank];
+    if (selectedRank === null || compareRanks(rank, selectedRank) < 0) {
+      selected = media;
+      selectedRank = rank;
+    }
+  }
+
+  return selected;
+}
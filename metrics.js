@@ -0,0 +1,159 @@
+// Minimal Prometheus instrumentation: counters, gauges and histograms rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+// Default histogram buckets, in seconds
+export const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabelValue = (value) => {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {name="value",...}
+ * @param {object} labels Label values by name
+ * @returns {string} Rendered labels, or an empty string without labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Build the series key and label object for a set of label values
+ * @param {Array<string>} labelNames Declared label names
+ * @param {object} labels Label values
+ * @returns {{key: string, labels: object}} Series key and normalized labels
+ */
+const seriesFor = (labelNames, labels = {}) => {
+  const normalized = {};
+  for (const name of labelNames) {
+    normalized[name] = labels[name] !== undefined ? String(labels[name]) : '';
+  }
+  return { key: JSON.stringify(normalized), labels: normalized };
+}
+
+/**
+ * Create a counter
+ * @param {string} name Metric name (should end in _total)
+ * @param {string} help Help text
+ * @param {Array<string>} labelNames Label names (optional)
+ * @returns {object} Counter with inc(labels, value)
+ */
+export const createCounter = (name, help, labelNames = []) => {
+  const series = new Map();
+
+  const counter = {
+    inc(labels = {}, value = 1) {
+      const { key, labels: normalized } = seriesFor(labelNames, labels);
+      const entry = series.get(key) || { labels: normalized, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      if (series.size === 0 && labelNames.length === 0) {
+        lines.push(`${name} 0`);
+      }
+      for (const entry of series.values()) {
+        lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+      }
+      return lines;
+    }
+  };
+
+  metrics.push(counter);
+  return counter;
+}
+
+/**
+ * Create a gauge whose value is read when metrics are scraped
+ * @param {string} name Metric name
+ * @param {string} help Help text
+ * @param {Function} collect Returns the current value
+ * @returns {object} Gauge
+ */
+export const createGauge = (name, help, collect) => {
+  const gauge = {
+    render() {
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`];
+    }
+  };
+
+  metrics.push(gauge);
+  return gauge;
+}
+
+/**
+ * Create a histogram
+ * @param {string} name Metric name
+ * @param {string} help Help text
+ * @param {Array<string>} labelNames Label names (optional)
+ * @param {Array<number>} buckets Upper bounds of the buckets, ascending (optional)
+ * @returns {object} Histogram with observe(labels, value) and startTimer(labels)
+ */
+export const createHistogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+
+  const histogram = {
+    observe(labels = {}, value) {
+      const { key, labels: normalized } = seriesFor(labelNames, labels);
+      const entry = series.get(key) || { labels: normalized, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+
+    // Returns a function that observes the seconds elapsed since the timer started
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        histogram.observe(labels, seconds);
+        return seconds;
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const entry of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+      return lines;
+    }
+  };
+
+  metrics.push(histogram);
+  return histogram;
+}
+
+/**
+ * Render every registered metric in the Prometheus text format
+ * @returns {string} Exposition text
+ */
+export const renderMetrics = () => {
+  return metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+}
+
+// Content type of the text exposition format
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
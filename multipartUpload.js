@@ -0,0 +1,235 @@
+import {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  PutObjectCommand
+} from '@aws-sdk/client-s3';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+
+// S3 rejects multipart parts smaller than this, except for the last one
+export const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// Parts kept in memory while waiting for S3 before further parts are spilled to disk
+const DEFAULT_MAX_QUEUED_PARTS = 2;
+
+/**
+ * Stream data into an S3 object while it is still being produced
+ * Data is buffered into parts of `partSize` bytes and uploaded one part at a time.
+ * Objects that never fill a single part are sent with one PutObject on completion.
+ * When S3 is slower than the incoming data, at most `maxQueuedParts` parts wait in memory;
+ * later parts are spilled to a local file and read back when their turn comes.
+ * @param {S3Client} s3Client S3 client
+ * @param {object} params Object parameters (Bucket, Key, ContentType, Metadata)
+ * @param {object} options Upload options
+ * @param {number} options.partSize Part size in bytes (at least MIN_PART_SIZE)
+ * @param {function} options.finalizeFirstPart Optional (firstPart, totalBytes) => Buffer hook.
+ *   When set, the first part is held back until completion so its leading bytes
+ *   (e.g. a WAV header) can be rewritten once the total size is known.
+ * @param {number} options.maxQueuedParts Parts waiting in memory before spilling to disk (optional)
+ * @param {string} options.spillPath File for spilled parts, removed once the upload finishes
+ *   (optional, defaults to a file in the OS temp directory)
+ * @returns {object} Upload handle with write(), complete() and abort()
+ */
+export const createStreamingUpload = (s3Client, params, options = {}) => {
+  const partSize = Math.max(options.partSize || MIN_PART_SIZE, MIN_PART_SIZE);
+  const finalizeFirstPart = options.finalizeFirstPart || null;
+  const maxQueuedParts = options.maxQueuedParts || DEFAULT_MAX_QUEUED_PARTS;
+  const spillPath = options.spillPath || path.join(os.tmpdir(), `multipart-${randomUUID()}.spill`);
+
+  let chunks = [];
+  let bufferedBytes = 0;
+  let totalBytes = 0;
+  let heldFirstPart = null;
+  let uploadId = null;
+  let nextPartNumber = finalizeFirstPart ? 2 : 1;
+  const parts = [];
+  let queue = Promise.resolve();
+  let queuedParts = 0;
+  let spillFd = null;
+  let spillSize = 0;
+  let failure = null;
+  let finished = false;
+
+  const takeBuffered = () => {
+    const data = Buffer.concat(chunks, bufferedBytes);
+    chunks = [];
+    bufferedBytes = 0;
+    return data;
+  };
+
+  const ensureMultipart = async () => {
+    if (uploadId === null) {
+      const response = await s3Client.send(new CreateMultipartUploadCommand(params));
+      uploadId = response.UploadId;
+    }
+  };
+
+  const uploadPart = async (partNumber, body) => {
+    await ensureMultipart();
+    const response = await s3Client.send(new UploadPartCommand({
+      Bucket: params.Bucket,
+      Key: params.Key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body
+    }));
+    parts.push({ PartNumber: partNumber, ETag: response.ETag });
+  };
+
+  // Run S3 calls one at a time; the first failure stops everything queued after it
+  const enqueue = (task) => {
+    queue = queue.then(() => (failure ? undefined : task())).catch(error => {
+      failure = failure || error;
+    });
+    return queue;
+  };
+
+  // Append a part to the spill file, returning where it was written
+  const spill = (data) => {
+    if (spillFd === null) {
+      spillFd = fs.openSync(spillPath, 'w+');
+      logger.warn('Storage is falling behind, spilling multipart parts to disk', { key: params.Key, file: spillPath });
+    }
+    const range = { offset: spillSize, length: data.length };
+    fs.writeSync(spillFd, data, 0, data.length, range.offset);
+    spillSize += data.length;
+    return range;
+  };
+
+  const readSpilled = ({ offset, length }) => {
+    const data = Buffer.alloc(length);
+    fs.readSync(spillFd, data, 0, length, offset);
+    return data;
+  };
+
+  const removeSpill = () => {
+    if (spillFd === null) {
+      return;
+    }
+    try {
+      fs.closeSync(spillFd);
+      fs.unlinkSync(spillPath);
+    } catch (error) {
+      logger.error('Error removing multipart spill file', { file: spillPath, error });
+    }
+    spillFd = null;
+  };
+
+  const flushPart = () => {
+    const data = takeBuffered();
+    if (finalizeFirstPart && heldFirstPart === null) {
+      heldFirstPart = data;
+      return;
+    }
+    const partNumber = nextPartNumber++;
+    if (queuedParts < maxQueuedParts) {
+      queuedParts++;
+      enqueue(() => uploadPart(partNumber, data).finally(() => {
+        queuedParts--;
+      }));
+    } else {
+      const range = spill(data);
+      enqueue(() => uploadPart(partNumber, readSpilled(range)));
+    }
+  };
+
+  return {
+    /**
+     * Append data to the object
+     * @param {Buffer} data Data to append
+     */
+    write(data) {
+      if (finished || failure) {
+        return;
+      }
+      chunks.push(data);
+      bufferedBytes += data.length;
+      totalBytes += data.length;
+      if (bufferedBytes >= partSize) {
+        flushPart();
+      }
+    },
+
+    /**
+     * Upload whatever is still buffered and complete the object
+     * @returns {Promise<object>} { key, bytes, parts }
+     */
+    async complete() {
+      if (finished) {
+        throw new Error(`Upload already finished: ${params.Key}`);
+      }
+      finished = true;
+      await queue;
+      removeSpill();
+      if (failure) {
+        await this.abort();
+        throw failure;
+      }
+
+      const remaining = takeBuffered();
+
+      // Everything fit in one part: a plain PutObject is enough
+      if (uploadId === null && (heldFirstPart === null || remaining.length === 0)) {
+        let body = heldFirstPart === null ? remaining : heldFirstPart;
+        if (finalizeFirstPart) {
+          body = finalizeFirstPart(body, totalBytes);
+        }
+        await s3Client.send(new PutObjectCommand({ ...params, Body: body }));
+        return { key: params.Key, bytes: totalBytes, parts: 1 };
+      }
+
+      try {
+        if (heldFirstPart !== null) {
+          await uploadPart(1, finalizeFirstPart(heldFirstPart, totalBytes));
+        }
+        if (remaining.length > 0) {
+          await uploadPart(nextPartNumber++, remaining);
+        }
+
+        await s3Client.send(new CompleteMultipartUploadCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: uploadId,
+          MultipartUpload: {
+            Parts: parts.sort((a, b) => a.PartNumber - b.PartNumber)
+          }
+        }));
+      } catch (error) {
+        await this.abort();
+        throw error;
+      }
+
+      return { key: params.Key, bytes: totalBytes, parts: parts.length };
+    },
+
+    /**
+     * Abandon the upload and discard any parts already sent
+     * @returns {Promise<void>}
+     */
+    async abort() {
+      finished = true;
+      chunks = [];
+      bufferedBytes = 0;
+      await queue;
+      removeSpill();
+      if (uploadId === null) {
+        return;
+      }
+      try {
+        await s3Client.send(new AbortMultipartUploadCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: uploadId
+        }));
+      } catch (error) {
+        logger.error('Error aborting multipart upload', { key: params.Key, error });
+      }
+      uploadId = null;
+    }
+  };
+}
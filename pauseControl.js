@@ -0,0 +1,100 @@
+import express from 'express';
+import { isAuthorized } from './adminApi.js';
+
+/**
+ * Summarize the server-initiated pause state of a session
+ * @param {object} sessionData Session state
+ * @returns {object} Pause summary
+ */
+const describePause = (sessionData) => ({
+  sessionId: sessionData.id,
+  participantId: sessionData.participant ? sessionData.participant.id : null,
+  isPaused: Boolean(sessionData.isPaused),
+  serverPause: sessionData.serverPause || null
+});
+
+/**
+ * Create the router that lets the IVR and agent desktop pause and resume recording by conversation
+ * Every route requires an "Authorization: Bearer <token>" header. Pause and resume apply to every
+ * live session of the conversation (or only the one of the participantId in the body) and answer
+ * once the client has acknowledged them, with 504 if it didn't in time. A pause requested while
+ * another is pending gets the same answer; one requested while a resume is pending gets 409.
+ * @param {object} options Router options
+ * @param {string} options.token Pause control token
+ * @param {Function} options.findSessions Called with (conversationId, participantId); returns the live sessions
+ * @param {Function} options.pauseSession Async, called with (sessionData, reason); resolves true once paused,
+ * joining a pause that was already requested
+ * @param {Function} options.resumeSession Async, called with sessionData; resolves true once resumed
+ * @returns {express.Router} Router to mount under /control
+ */
+export const createPauseControlRouter = ({ token, findSessions, pauseSession, resumeSession }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.use((req, res, next) => {
+    if (!isAuthorized(req.headers.authorization, token)) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    next();
+  });
+
+  router.get('/conversations/:conversationId', (req, res) => {
+    const sessions = findSessions(req.params.conversationId, req.query.participantId);
+    if (sessions.length === 0) {
+      res.status(404).json({ error: 'No live session for this conversation' });
+      return;
+    }
+    res.status(200).json({ sessions: sessions.map(describePause) });
+  });
+
+  router.post('/conversations/:conversationId/pause', async (req, res) => {
+    const { reason, participantId } = req.body || {};
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      res.status(400).json({ error: 'A reason is required' });
+      return;
+    }
+
+    const sessions = findSessions(req.params.conversationId, participantId);
+    if (sessions.length === 0) {
+      res.status(404).json({ error: 'No live session for this conversation' });
+      return;
+    }
+
+    if (sessions.some(sessionData => sessionData.serverPause && sessionData.serverPause.resumeSeq)) {
+      res.status(409).json({ error: 'A server-initiated pause is still being resumed for this conversation' });
+      return;
+    }
+
+    // Sessions already paused by the server, or waiting for the client to pause, keep their original request
+    const acknowledged = await Promise.all(sessions.map(sessionData => pauseSession(sessionData, reason.trim())));
+
+    res.status(acknowledged.every(Boolean) ? 200 : 504).json({
+      sessions: sessions.map((sessionData, i) => ({
+        ...describePause(sessionData),
+        status: acknowledged[i] ? 'paused' : 'pausing'
+      }))
+    });
+  });
+
+  router.post('/conversations/:conversationId/resume', async (req, res) => {
+    const { participantId } = req.body || {};
+    const sessions = findSessions(req.params.conversationId, participantId)
+      .filter(sessionData => sessionData.serverPause);
+    if (sessions.length === 0) {
+      res.status(409).json({ error: 'No server-initiated pause to resume for this conversation' });
+      return;
+    }
+
+    const acknowledged = await Promise.all(sessions.map(sessionData => resumeSession(sessionData)));
+
+    res.status(acknowledged.every(Boolean) ? 200 : 504).json({
+      sessions: sessions.map((sessionData, i) => ({
+        ...describePause(sessionData),
+        status: acknowledged[i] ? 'resumed' : 'resuming'
+      }))
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,95 @@
+// AudioHook protocol version this server speaks
+export const PROTOCOL_VERSION = '2';
+
+// Session states, in the order a well-behaved session moves through them
+export const SessionState = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  PAUSED: 'paused',
+  CLOSING: 'closing',
+  CLOSED: 'closed'
+};
+
+// Error codes used when answering protocol violations
+export const ProtocolErrorCode = {
+  BAD_REQUEST: 400,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  INTERNAL_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503
+};
+
+// Client message types accepted in each state
+const ALLOWED_MESSAGES = {
+  // A close before open is a conflict, answered with an error and a disconnect rather than closed
+  [SessionState.CONNECTING]: ['open', 'error'],
+  [SessionState.OPEN]: ['paused', 'discarded', 'ping', 'update', 'close', 'error'],
+  // 'paused' while paused acknowledges a server pause request made during a client-initiated pause
+  [SessionState.PAUSED]: ['paused', 'resumed', 'discarded', 'ping', 'update', 'close', 'error'],
+  [SessionState.CLOSING]: ['ping', 'error'],
+  [SessionState.CLOSED]: ['error']
+};
+
+const KNOWN_MESSAGES = new Set(Object.values(ALLOWED_MESSAGES).flat());
+
+/**
+ * Check a parsed client message against the session's protocol state
+ * Nothing is modified; the caller records the sequence number and moves
+ * the session to its next state once the message has been handled.
+ * @param {object} sessionData Session state (id, state, clientSeq, serverSeq)
+ * @param {object} message Parsed client message
+ * @returns {{valid: boolean, code: number, reason: string}} Validation result
+ */
+export const validateClientMessage = (sessionData, message) => {
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+    return { valid: false, code: ProtocolErrorCode.BAD_REQUEST, reason: 'Message has no type' };
+  }
+
+  if (message.version !== PROTOCOL_VERSION) {
+    return { valid: false, code: ProtocolErrorCode.BAD_REQUEST, reason: `Unsupported protocol version: ${message.version}` };
+  }
+
+  if (message.id !== sessionData.id) {
+    return { valid: false, code: ProtocolErrorCode.BAD_REQUEST, reason: `Message id ${message.id} does not match session` };
+  }
+
+  // Client sequence numbers start at 1 and go up by exactly one per message
+  if (!Number.isInteger(message.seq) || message.seq !== sessionData.clientSeq + 1) {
+    return {
+      valid: false,
+      code: ProtocolErrorCode.BAD_REQUEST,
+      reason: `Invalid sequence number: expected ${sessionData.clientSeq + 1}, got ${message.seq}`
+    };
+  }
+
+  // The client can only acknowledge server messages it has actually received
+  if (message.serverseq !== undefined &&
+      (!Number.isInteger(message.serverseq) || message.serverseq < 0 || message.serverseq > sessionData.serverSeq)) {
+    return {
+      valid: false,
+      code: ProtocolErrorCode.BAD_REQUEST,
+      reason: `Invalid server sequence number: ${message.serverseq} (last sent ${sessionData.serverSeq})`
+    };
+  }
+
+  if (!KNOWN_MESSAGES.has(message.type)) {
+    return { valid: false, code: ProtocolErrorCode.BAD_REQUEST, reason: `Unknown message type: ${message.type}` };
+  }
+
+  // Every message carries a parameters object, even if it is empty
+  if (!message.parameters || typeof message.parameters !== 'object' || Array.isArray(message.parameters)) {
+    return { valid: false, code: ProtocolErrorCode.BAD_REQUEST, reason: `Message '${message.type}' has no parameters object` };
+  }
+
+  const allowed = ALLOWED_MESSAGES[sessionData.state] || [];
+  if (!allowed.includes(message.type)) {
+    return {
+      valid: false,
+      code: ProtocolErrorCode.CONFLICT,
+      reason: `Unexpected '${message.type}' message in state '${sessionData.state}'`
+    };
+  }
+
+  return { valid: true, code: 0, reason: 'ok' };
+}
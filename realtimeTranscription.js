@@ -0,0 +1,321 @@
+import { randomUUID } from 'crypto';
+import WebSocket from 'ws';
+import { formatIsoDuration } from './timeUtils.js';
+import { logger } from './logger.js';
+
+// AssemblyAI streaming endpoint and the chunk size it wants (50-1000 ms of audio)
+const ASSEMBLYAI_STREAMING_URL = 'wss://streaming.assemblyai.com/v3/ws';
+const ASSEMBLYAI_CHUNK_MS = 100;
+
+// Languages besides English covered by the multilingual streaming model
+const ASSEMBLYAI_MULTILINGUAL_LANGUAGES = new Set(['es', 'fr', 'de', 'it', 'pt']);
+
+/**
+ * Local engine for testing: emits a partial and then a final result for every
+ * window of audio it receives, without calling any external service.
+ * @param {object} options Engine options
+ * @param {number} options.windowSeconds Length of each fake utterance
+ * @returns {object} Transcription engine
+ */
+const createStubEngine = ({ windowSeconds = 2 } = {}) => ({
+  name: 'stub',
+
+  startStream({ sampleRate, channelIndex, channel, onResult }) {
+    const bytesPerWindow = Math.round(windowSeconds * sampleRate) * 2;
+    let received = 0;
+    let utterance = 0;
+    let partialSent = false;
+
+    const emit = (isFinal, durationSeconds) => {
+      onResult({
+        channelIndex,
+        isFinal,
+        offsetSeconds: utterance * windowSeconds,
+        durationSeconds,
+        transcript: `${channel} utterance ${utterance + 1}`,
+        confidence: isFinal ? 0.95 : 0.5,
+        words: []
+      });
+    };
+
+    return {
+      write(pcm) {
+        received += pcm.length;
+        const windowBytes = received - utterance * bytesPerWindow;
+
+        if (!partialSent && windowBytes >= bytesPerWindow / 2) {
+          emit(false, windowSeconds / 2);
+          partialSent = true;
+        }
+        if (windowBytes >= bytesPerWindow) {
+          emit(true, windowSeconds);
+          utterance++;
+          partialSent = false;
+        }
+      },
+
+      async end() {
+        const leftover = received - utterance * bytesPerWindow;
+        if (leftover > 0) {
+          emit(true, leftover / 2 / sampleRate);
+        }
+      }
+    };
+  }
+});
+
+/**
+ * Pick the AssemblyAI streaming model for a conversation language
+ * Languages neither model covers are transcribed as English.
+ * @param {string} language Genesys language (e.g. 'es-US')
+ * @returns {object} Query parameters selecting the model
+ */
+const getAssemblyAiModelParams = (language) => {
+  const base = String(language || '').toLowerCase().split('-')[0];
+  if (ASSEMBLYAI_MULTILINGUAL_LANGUAGES.has(base)) {
+    return { speech_model: 'universal-streaming-multilingual', language_detection: 'true' };
+  }
+  if (base !== 'en') {
+    logger.warn('AssemblyAI streaming does not support the conversation language, transcribing it as English', { language });
+  }
+  return { speech_model: 'universal-streaming-english' };
+}
+
+/**
+ * AssemblyAI Universal Streaming engine, one WebSocket per channel
+ * @param {object} options Engine options
+ * @param {string} options.apiKey AssemblyAI API key
+ * @returns {object} Transcription engine
+ */
+const createAssemblyAiEngine = ({ apiKey }) => {
+  if (!apiKey) {
+    throw new Error('ASSEMBLYAI_API_KEY is required for the assemblyai transcription engine');
+  }
+
+  return {
+    name: 'assemblyai',
+
+    startStream({ sampleRate, channelIndex, language, onResult }) {
+      const query = new URLSearchParams({
+        sample_rate: String(sampleRate),
+        encoding: 'pcm_s16le',
+        format_turns: 'true',
+        ...getAssemblyAiModelParams(language)
+      });
+      const url = `${ASSEMBLYAI_STREAMING_URL}?${query}`;
+      const socket = new WebSocket(url, { headers: { authorization: apiKey } });
+      const chunkBytes = Math.round(sampleRate * ASSEMBLYAI_CHUNK_MS / 1000) * 2;
+
+      let pending = [];
+      let pendingBytes = 0;
+      const backlog = [];
+      let terminated = null;
+
+      const sendChunk = (chunk) => {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(chunk);
+        } else if (socket.readyState === WebSocket.CONNECTING) {
+          backlog.push(chunk);
+        }
+      };
+
+      socket.on('open', () => {
+        backlog.splice(0).forEach(chunk => socket.send(chunk));
+      });
+
+      socket.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+          logger.error('Unparseable message from AssemblyAI streaming', { error });
+          return;
+        }
+
+        // Unformatted end-of-turn messages are followed by a formatted one; only that is final
+        if (message.type === 'Turn' && message.transcript) {
+          const isFinal = Boolean(message.end_of_turn && message.turn_is_formatted);
+          if (message.end_of_turn && !isFinal) {
+            return;
+          }
+
+          const words = (message.words || []).map(word => ({
+            text: word.text,
+            offsetSeconds: word.start / 1000,
+            durationSeconds: (word.end - word.start) / 1000,
+            confidence: word.confidence
+          }));
+          const first = words[0];
+          const last = words[words.length - 1];
+
+          onResult({
+            channelIndex,
+            isFinal,
+            offsetSeconds: first ? first.offsetSeconds : 0,
+            durationSeconds: first ? last.offsetSeconds + last.durationSeconds - first.offsetSeconds : 0,
+            transcript: message.transcript,
+            confidence: words.length > 0
+              ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+              : message.end_of_turn_confidence || 0,
+            language,
+            words
+          });
+        } else if (message.type === 'Termination' && terminated) {
+          terminated();
+        }
+      });
+
+      socket.on('error', (error) => {
+        logger.error('AssemblyAI streaming error', { channel: channelIndex, error });
+      });
+
+      return {
+        write(pcm) {
+          pending.push(pcm);
+          pendingBytes += pcm.length;
+          if (pendingBytes >= chunkBytes) {
+            sendChunk(Buffer.concat(pending, pendingBytes));
+            pending = [];
+            pendingBytes = 0;
+          }
+        },
+
+        async end() {
+          if (pendingBytes > 0) {
+            sendChunk(Buffer.concat(pending, pendingBytes));
+          }
+          if (socket.readyState !== WebSocket.OPEN) {
+            socket.terminate();
+            return;
+          }
+
+          // Wait (briefly) for the final turns before closing
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, 5000);
+            terminated = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+            socket.send(JSON.stringify({ type: 'Terminate' }));
+          });
+          socket.close();
+        }
+      };
+    }
+  };
+}
+
+// Available engines by name
+const ENGINES = {
+  stub: createStubEngine,
+  assemblyai: createAssemblyAiEngine
+};
+
+/**
+ * Create a streaming speech-to-text engine
+ * Engines expose startStream({ sampleRate, channel, channelIndex, language, onResult }),
+ * which returns a stream with write(pcm16Mono) and async end(). Results passed to
+ * onResult carry offsets relative to the audio written to that stream.
+ * @param {string} name Engine name ('stub' or 'assemblyai')
+ * @param {object} options Engine specific options
+ * @returns {object} Transcription engine
+ */
+export const createTranscriptionEngine = (name, options = {}) => {
+  const factory = ENGINES[name];
+  if (!factory) {
+    throw new Error(`Unknown transcription engine: ${name}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Split interleaved PCM16LE audio into one buffer per channel
+ * @param {Buffer} pcm Interleaved PCM16LE audio
+ * @param {number} channels Number of interleaved channels
+ * @returns {Array<Buffer>} Mono PCM16LE buffer per channel
+ */
+export const deinterleavePcm16 = (pcm, channels) => {
+  if (channels === 1) {
+    return [pcm];
+  }
+
+  const frames = Math.floor(pcm.length / (channels * 2));
+  const outputs = Array.from({ length: channels }, () => Buffer.allocUnsafe(frames * 2));
+  for (let f = 0; f < frames; f++) {
+    for (let c = 0; c < channels; c++) {
+      outputs[c].writeInt16LE(pcm.readInt16LE((f * channels + c) * 2), f * 2);
+    }
+  }
+  return outputs;
+}
+
+/**
+ * Map offsets in a transcription stream back onto the conversation timeline
+ * The stream only sees audio Genesys actually sent, so every paused or discarded
+ * stretch shifts later audio; each gap is recorded as a new anchor.
+ * @param {number} startSeconds Conversation position of the first streamed sample
+ * @returns {object} Timeline with addGap(streamSeconds, gapSeconds) and toConversation(streamSeconds)
+ */
+export const createTimelineMap = (startSeconds = 0) => {
+  const anchors = [{ streamSeconds: 0, shift: startSeconds }];
+
+  return {
+    addGap(streamSeconds, gapSeconds) {
+      const { shift } = anchors[anchors.length - 1];
+      anchors.push({ streamSeconds, shift: shift + gapSeconds });
+    },
+
+    toConversation(streamSeconds) {
+      let shift = anchors[0].shift;
+      for (const anchor of anchors) {
+        if (anchor.streamSeconds > streamSeconds) {
+          break;
+        }
+        shift = anchor.shift;
+      }
+      return streamSeconds + shift;
+    }
+  };
+}
+
+/**
+ * Build an AudioHook transcript entity from an engine result
+ * @param {object} result Engine result with conversation-relative offsets
+ * @param {string} language Conversation language (e.g. 'en-US')
+ * @param {string} id Utterance id; partials and the final result of one utterance share it
+ * @returns {object} Entity for the parameters.entities array of an event message
+ */
+export const buildTranscriptEntity = (result, language, id = randomUUID()) => {
+  const resultLanguage = result.language || language;
+
+  return {
+    type: 'transcript',
+    data: {
+      id,
+      channelId: result.channelIndex,
+      isFinal: result.isFinal,
+      position: formatIsoDuration(result.offsetSeconds),
+      duration: formatIsoDuration(result.durationSeconds),
+      alternatives: [
+        {
+          confidence: result.confidence,
+          languages: [resultLanguage],
+          interpretations: [
+            {
+              type: 'display',
+              transcript: result.transcript,
+              tokens: result.words.map(word => ({
+                type: 'word',
+                value: word.text,
+                confidence: word.confidence,
+                position: formatIsoDuration(word.offsetSeconds),
+                duration: formatIsoDuration(word.durationSeconds),
+                language: resultLanguage
+              }))
+            }
+          ]
+        }
+      ]
+    }
+  };
+}
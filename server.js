@@ -1,10 +1,26 @@
 import express from 'express';
 import http from 'http';
+import { randomUUID } from 'crypto';
 import * as fs from 'fs';
 import * as path from 'path';
 import { WebSocketServer } from 'ws';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
-import { convertRawToWav, getAudioStats } from './audioUtils.js';
+import { convertRawToWav, convertRawToChannelWavs, getAudioStats, generateFill, decodeAudio, buildWavHeader, getBytesPerSample, plainFileIo } from './audioUtils.js';
+import { createKeyProvider, createEncryptedFileIo, encryptBuffer, readEncryptedFileIv, buildEncryptionMetadata } from './encryption.js';
+import { createStorageBackend, renderKeyTemplate } from './storage.js';
+import { MANIFEST_SUFFIX, recordTimelineEvent, recordOutcome, buildManifest } from './sessionManifest.js';
+import { createCounter, createGauge, createHistogram, renderMetrics, METRICS_CONTENT_TYPE } from './metrics.js';
+import { logger, configureLogger } from './logger.js';
+import { createAdminRouter, isAuthorized } from './adminApi.js';
+import { createPauseControlRouter } from './pauseControl.js';
+import { LISTEN_CHANNELS, resolveChannelIndexes, mixChannels, createWebSocketListener, createHttpListener } from './liveListen.js';
+import { openJournal, removeJournal, listJournals } from './sessionJournal.js';
+import { SessionState, ProtocolErrorCode, validateClientMessage } from './protocolState.js';
+import { createDiskMonitor, checkAdmission, checkSessionLimits, describeCapacity } from './sessionLimits.js';
+import { loadTenantRegistry, isValidApiKey, getRetentionTagging } from './tenantRegistry.js';
+import { createTranscriptionEngine, createTimelineMap, deinterleavePcm16, buildTranscriptEntity } from './realtimeTranscription.js';
+import { parseMediaPreferences, selectMedia } from './mediaNegotiation.js';
+import { parseIsoDuration, formatIsoDuration } from './timeUtils.js';
+import { verifySignature } from './httpSignature.js';
 
 import dotenv from 'dotenv';
 dotenv.config();
@@ -13,109 +29,318 @@ dotenv.config();
 const config = {
   port: process.env.PORT || 3000,
   recordingsDir: process.env.RECORDINGS_DIR || './recordings',
+  splitChannels: process.env.SPLIT_CHANNELS === 'true', // Also write one mono WAV per channel
+  // Media negotiation policy, each list in preference order
+  media: parseMediaPreferences({
+    formats: process.env.MEDIA_FORMATS || 'PCMU,L16',
+    rates: process.env.MEDIA_RATES || '8000,16000',
+    channels: process.env.MEDIA_CHANNELS || 'external+internal,internal+external,external,internal'
+  }),
+  gapFill: {
+    enabled: process.env.GAP_FILL === 'true', // Keep the recording aligned with conversation time
+    mode: process.env.GAP_FILL_MODE || 'silence' // 'silence' or 'tone'
+  },
   s3: {
     region: process.env.AWS_REGION || 'us-east-1',
     bucket: process.env.S3_BUCKET || 'your-audio-bucket-2',
-    keyPrefix: process.env.S3_KEY_PREFIX || 'calls/'
+    keyPrefix: process.env.S3_KEY_PREFIX || 'calls/',
+    endpoint: process.env.S3_ENDPOINT, // For S3-compatible services such as MinIO
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  },
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 's3', // 's3' or 'filesystem'
+    dir: process.env.STORAGE_DIR || './storage', // Root directory of the filesystem backend
+    keyTemplate: process.env.STORAGE_KEY_TEMPLATE || '{prefix}{recordingId}/' // Conversation folder layout
+  },
+  upload: {
+    mode: process.env.UPLOAD_MODE || 'batch', // 'batch' uploads after the call, 'stream' uploads while it is live
+    partSizeMB: parseInt(process.env.UPLOAD_PART_SIZE_MB || '5', 10),
+    maxQueuedParts: parseInt(process.env.UPLOAD_MAX_QUEUED_PARTS || '2', 10), // Parts held in memory per upload before spilling to RECORDINGS_DIR
+    keepLocalCopy: process.env.KEEP_LOCAL_RECORDING !== 'false' // Stream mode only: keep the local file once the streamed upload completes
+  },
+  encryption: {
+    enabled: process.env.ENCRYPTION_ENABLED === 'true', // Encrypt the local spool and uploaded objects
+    keyProvider: process.env.ENCRYPTION_KEY_PROVIDER || 'local', // Wraps each recording's data key
+    keyFile: process.env.ENCRYPTION_KEY_FILE // Master key of the local provider
   },
+  transcription: {
+    enabled: process.env.REALTIME_TRANSCRIPTION === 'true', // Send live transcript events back to Genesys
+    engine: process.env.TRANSCRIPTION_ENGINE || 'stub', // 'stub' (local testing) or 'assemblyai'
+    sendPartials: process.env.TRANSCRIPTION_PARTIALS !== 'false',
+    assemblyAiApiKey: process.env.ASSEMBLYAI_API_KEY
+  },
+  limits: {
+    maxSessions: parseInt(process.env.MAX_SESSIONS || '0', 10), // Concurrent sessions on this node; 0 for no limit
+    maxSessionsPerOrg: parseInt(process.env.MAX_SESSIONS_PER_ORG || '0', 10), // Concurrent sessions per organization; 0 for no limit
+    maxSessionMB: parseInt(process.env.MAX_SESSION_MB || '0', 10), // Audio recorded per session; 0 for no limit
+    maxSessionSeconds: parseInt(process.env.MAX_SESSION_SECONDS || '0', 10), // Session length; 0 for no limit
+    minFreeDiskMB: parseInt(process.env.MIN_FREE_DISK_MB || '0', 10) // Free space kept in the recordings directory; 0 for no limit
+  },
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '30000', 10), // How long to drain sessions on SIGTERM/SIGINT
+  tenantsFile: process.env.TENANTS_FILE, // Per-organization keys and storage; when unset API_KEY/S3_* apply to every org
   apiKey: process.env.API_KEY || 'your-api-key-here', // Set this to your actual API key
-  clientSecret: process.env.CLIENT_SECRET // Optional for signature verification
+  clientSecret: process.env.CLIENT_SECRET, // Optional for signature verification
+  signature: {
+    maxAgeSeconds: parseInt(process.env.SIGNATURE_MAX_AGE_SECONDS || '300', 10),
+    clockSkewSeconds: parseInt(process.env.SIGNATURE_CLOCK_SKEW_SECONDS || '30', 10)
+  },
+  admin: {
+    token: process.env.ADMIN_TOKEN, // Bearer token for the /admin API; the API is disabled when unset
+    recentSessions: parseInt(process.env.ADMIN_RECENT_SESSIONS || '100', 10) // Completed sessions kept for /admin/recordings
+  },
+  listen: {
+    token: process.env.LISTEN_TOKEN, // Bearer token for supervisor listen-in; listen-in is disabled when unset
+    maxBufferedBytes: parseInt(process.env.LISTEN_MAX_BUFFERED_BYTES || '65536', 10) // Audio is dropped for a listener with more than this waiting to be sent
+  },
+  pauseControl: {
+    token: process.env.PAUSE_CONTROL_TOKEN, // Bearer token for the /control pause API; the API is disabled when unset
+    ackTimeoutMs: parseInt(process.env.PAUSE_ACK_TIMEOUT_MS || '5000', 10) // How long a pause or resume request waits for the client
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // 'debug', 'info', 'warn' or 'error'
+    redactPii: process.env.LOG_REDACT_PII !== 'false', // Mask phone numbers and participant PII
+    audioSummaryIntervalMs: parseInt(process.env.AUDIO_LOG_INTERVAL_MS || '10000', 10) // How often to summarize received audio
+  }
 };
 
+configureLogger(config.logging);
+
 // Create recordings directory if it doesn't exist
 if (!fs.existsSync(config.recordingsDir)) {
   fs.mkdirSync(config.recordingsDir, { recursive: true });
 }
 
-// Initialize the S3 client
-const s3Client = new S3Client({ region: config.s3.region });
+// Load the tenant registry (a single default tenant when no tenants file is configured)
+const tenantRegistry = loadTenantRegistry(config.tenantsFile, config);
+logger.info('Loaded tenant registry', { tenants: tenantRegistry.list().length });
+
+// Wraps the per-recording data keys when encryption is enabled
+const keyProvider = config.encryption.enabled
+  ? createKeyProvider(config.encryption.keyProvider, { keyFile: config.encryption.keyFile })
+  : null;
+
+// Streamed objects are patched after the call, which encrypted objects don't allow
+if (keyProvider && config.upload.mode === 'stream') {
+  logger.warn('Streaming uploads are not supported with encryption, uploading after each call instead');
+  config.upload.mode = 'batch';
+}
+
+// Free space in the recordings directory, for the disk limit and /health
+const getFreeDiskBytes = createDiskMonitor(config.recordingsDir);
+
+// Prometheus metrics, served on /metrics
+const GAP_BUCKETS = [0.5, 1, 5, 10, 30, 60, 120, 300, 600];
+const metrics = {
+  handshakes: createCounter('audiohook_handshakes_total', 'WebSocket handshakes by result and rejection reason', ['result', 'reason']),
+  sessionsOpened: createCounter('audiohook_sessions_opened_total', 'Recording sessions opened'),
+  sessionsClosed: createCounter('audiohook_sessions_closed_total', 'Sessions whose connection has closed'),
+  connectionProbes: createCounter('audiohook_connection_probes_total', 'Connection probes received'),
+  audioBytes: createCounter('audiohook_audio_bytes_received_total', 'Audio bytes received'),
+  audioFrames: createCounter('audiohook_audio_frames_received_total', 'Audio frames (binary messages) received'),
+  pausedSeconds: createHistogram('audiohook_paused_duration_seconds', 'Length of paused stretches', [], GAP_BUCKETS),
+  discardedSeconds: createHistogram('audiohook_discarded_duration_seconds', 'Length of audio Genesys discarded', [], GAP_BUCKETS),
+  conversionSeconds: createHistogram('audiohook_conversion_duration_seconds', 'Time to convert a recording to WAV'),
+  conversionFailures: createCounter('audiohook_conversion_failures_total', 'Recordings that failed to convert'),
+  uploadSeconds: createHistogram('audiohook_upload_duration_seconds', 'Time to upload an object to storage', ['kind']),
+  uploadBytes: createCounter('audiohook_upload_bytes_total', 'Bytes uploaded to storage', ['kind']),
+  uploadFailures: createCounter('audiohook_upload_failures_total', 'Failed uploads to storage', ['kind']),
+  protocolErrors: createCounter('audiohook_protocol_errors_total', 'Protocol error messages by code and sender', ['code', 'source']),
+  serverPauses: createCounter('audiohook_server_pause_requests_total', 'Server-initiated pause and resume requests by acknowledgement', ['type', 'result']),
+  listenDroppedBytes: createCounter('audiohook_listen_dropped_bytes_total', 'Live audio bytes dropped for slow listeners', ['transport']),
+  sessionLimits: createCounter('audiohook_session_limits_exceeded_total', 'Sessions disconnected for exceeding a limit', ['limit'])
+};
+createGauge('audiohook_active_sessions', 'Sessions currently connected', () => activeSessions.size);
+createGauge('audiohook_listeners', 'Supervisors listening to live sessions', () => {
+  return Array.from(activeSessions.values()).reduce((count, session) => count + session.listeners.size, 0);
+});
+createGauge('audiohook_free_disk_bytes', 'Free space in the recordings directory', () => getFreeDiskBytes() ?? NaN);
+createGauge('audiohook_draining', 'Whether the server is draining (1) or accepting sessions (0)', () => (isDraining ? 1 : 0));
+
+// Storage backends, created on first use since each tenant has its own bucket
+const tenantStorage = new Map();
+
+function getStorage(tenant) {
+  if (!tenantStorage.has(tenant.id)) {
+    tenantStorage.set(tenant.id, createStorageBackend(tenant.storage.backend, {
+      bucket: tenant.s3.bucket,
+      region: tenant.s3.region,
+      endpoint: tenant.s3.endpoint,
+      forcePathStyle: tenant.s3.forcePathStyle,
+      root: config.storage.dir
+    }));
+  }
+  return tenantStorage.get(tenant.id);
+}
+
+// Initialize the streaming speech-to-text engine if live transcription is enabled
+const transcriptionEngine = config.transcription.enabled
+  ? createTranscriptionEngine(config.transcription.engine, { apiKey: config.transcription.assemblyAiApiKey })
+  : null;
 
 // Initialize Express app and HTTP server
 const app = express();
 const server = http.createServer(app);
 
+// Set once shutdown starts; new sessions are refused while draining
+let isDraining = false;
+
 // Middleware for request logging
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+  logger.debug('HTTP request', { method: req.method, url: req.url });
   next();
 });
 
-// Basic request authentication middleware
-function validateSignature(req) {
+// Verify the HTTP message signature Genesys puts on the upgrade request
+function validateSignature(req, tenant, apiKey) {
   // Skip validation if no client secret is configured
-  if (!config.clientSecret) {
+  if (!tenant.clientSecret) {
     return true;
   }
 
   try {
-    const signature = req.headers['signature'];
-    const signatureInput = req.headers['signature-input'];
+    const result = verifySignature(req, {
+      clientSecret: tenant.clientSecret,
+      apiKey,
+      maxAgeSeconds: config.signature.maxAgeSeconds,
+      clockSkewSeconds: config.signature.clockSkewSeconds
+    });
     
-    if (!signature || !signatureInput) {
-      console.log('Missing signature headers');
+    if (!result.valid) {
+      logger.warn('Signature verification failed', { reason: result.reason });
       return false;
     }
     
-    // Simple presence check for demo purposes
     return true;
   } catch (error) {
-    console.error('Error validating signature:', error);
+    logger.error('Error validating signature', { error });
     return false;
   }
 }
 
 // Create WebSocket server
 const wss = new WebSocketServer({ 
-  server,
+  noServer: true,
   // Handle the WebSocket upgrade request to perform authentication
   handshakeTimeout: 60000,
   verifyClient: (info, callback) => {
+    // Refuse new sessions so Genesys reconnects to another node
+    if (isDraining) {
+      logger.info('Rejecting connection: server is draining');
+      metrics.handshakes.inc({ result: 'rejected', reason: 'draining' });
+      callback(false, 503, 'Service Unavailable');
+      return;
+    }
+    
     const apiKey = info.req.headers['X-API-KEY'] || info.req.headers['x-api-key'];
     const sessionId = info.req.headers['Audiohook-Session-Id'] || info.req.headers['audiohook-session-id'];
     const organizationId = info.req.headers['Audiohook-Organization-Id'] || info.req.headers['audiohook-organization-id'];
     
-    // Verify API key matches
-    if (config.apiKey !== apiKey) {
-      console.log('Authentication failed: Invalid API key');
+    // Check required headers
+    if (!sessionId || !organizationId) {
+      logger.warn('Rejecting connection: missing required AudioHook headers');
+      metrics.handshakes.inc({ result: 'rejected', reason: 'missing_headers' });
+      callback(false, 400, 'Bad Request');
+      return;
+    }
+    
+    // Look up the tenant for this organization
+    const tenant = tenantRegistry.resolve(organizationId);
+    if (!tenant) {
+      logger.warn('Authentication failed: unknown organization', { organizationId });
+      metrics.handshakes.inc({ result: 'rejected', reason: 'unknown_organization' });
       callback(false, 401, 'Unauthorized');
       return;
     }
     
-    // Validate request signature if client secret is configured
-    if (!validateSignature(info.req)) {
-      console.log('Authentication failed: Invalid signature');
+    // Verify API key matches one of the tenant's active keys
+    if (!isValidApiKey(tenant, apiKey)) {
+      logger.warn('Authentication failed: invalid API key', { organizationId });
+      metrics.handshakes.inc({ result: 'rejected', reason: 'invalid_api_key' });
       callback(false, 401, 'Unauthorized');
       return;
     }
     
-    // Check required headers
-    if (!sessionId || !organizationId) {
-      console.log('Missing required AudioHook headers');
-      callback(false, 400, 'Bad Request');
+    // Validate request signature if the tenant has a client secret
+    if (!validateSignature(info.req, tenant, apiKey)) {
+      logger.warn('Authentication failed: invalid signature', { organizationId });
+      metrics.handshakes.inc({ result: 'rejected', reason: 'invalid_signature' });
+      callback(false, 401, 'Unauthorized');
+      return;
+    }
+    
+    // Refuse sessions beyond the node's capacity so Genesys tries another node
+    const rejection = checkAdmission(config.limits, {
+      activeSessions,
+      organizationId,
+      freeDiskBytes: getFreeDiskBytes()
+    });
+    if (rejection) {
+      logger.warn('Rejecting connection: limit reached', { organizationId, reason: rejection.reason, activeSessions: activeSessions.size });
+      metrics.handshakes.inc({ result: 'rejected', reason: rejection.reason });
+      callback(false, rejection.status, rejection.message);
+      return;
+    }
+    
+    // Hand the tenant to the connection handler, which receives the same request
+    info.req.tenant = tenant;
+    
+    metrics.handshakes.inc({ result: 'accepted', reason: '' });
+    callback(true);
+  }
+});
+
+// Supervisor listen-in sockets, on /listen/<conversationId>
+const listenWss = new WebSocketServer({
+  noServer: true,
+  verifyClient: (info, callback) => {
+    const request = resolveListenRequest(info.req);
+    if (request.error) {
+      logger.warn('Rejecting listen-in connection', { reason: request.error });
+      callback(false, request.status, request.error);
       return;
     }
     
+    info.req.listen = request;
     callback(true);
   }
 });
 
+// Route upgrades to the listen-in server or the AudioHook server by path
+server.on('upgrade', (req, socket, head) => {
+  const target = config.listen.token && isListenPath(req.url) ? listenWss : wss;
+  target.handleUpgrade(req, socket, head, (ws) => target.emit('connection', ws, req));
+});
+
 // Map to track active sessions
 const activeSessions = new Map();
 
+// Recently completed sessions for the admin API, oldest first
+const completedSessions = new Map();
+
+function rememberCompletedSession(sessionData) {
+  if (sessionData.isConnectionProbe || !sessionData.rawFilename) {
+    return;
+  }
+  
+  completedSessions.delete(sessionData.id);
+  completedSessions.set(sessionData.id, sessionData);
+  while (completedSessions.size > config.admin.recentSessions) {
+    completedSessions.delete(completedSessions.keys().next().value);
+  }
+}
+
 // WebSocket connection handler
 wss.on('connection', (ws, req) => {
-  console.log('New WebSocket connection established');
-  
   // Extract headers for authentication and context
   const organizationId = req.headers['audiohook-organization-id'];
   const correlationId = req.headers['audiohook-correlation-id'];
   const sessionId = req.headers['audiohook-session-id'];
   
-  console.log(`New connection: org=${organizationId}, corr=${correlationId}, session=${sessionId}`);
-  
   // Initialize session state
   const sessionData = {
     id: sessionId,
+    ws,  // Socket for server-initiated messages
+    tenant: req.tenant,  // Credentials and storage settings for the organization
     organizationId,
     correlationId,
     serverSeq: 0,  // Server sequence number
@@ -125,13 +350,22 @@ wss.on('connection', (ws, req) => {
     rawFilename: null,
     wavFilename: null,
     fileStream: null,
-    state: 'connecting',  // Session state
+    state: SessionState.CONNECTING,  // Protocol state, see protocolState.js
     isPaused: false,
     startTime: new Date(),
     bytesReceived: 0,
     discardedSegments: [],
-    pauseSegments: []
+    pauseSegments: [],
+    gapFillBytes: 0,
+    languageChanges: [],
+    timeline: [],  // Every control message in both directions, for the manifest
+    outcomes: {},  // Result of each processing step, for the manifest
+    listeners: new Set(),  // Supervisors listening to the live audio
+    serverPause: null,  // Pause requested by the server, until the client resumes
+    pauseWaiters: new Set()  // Pending pause/resume requests waiting for the client
   };
+  sessionData.log = createSessionLogger(sessionData);
+  sessionData.log.info('New WebSocket connection established', { organizationId });
   
   activeSessions.set(sessionId, sessionData);
   
@@ -140,54 +374,20 @@ wss.on('connection', (ws, req) => {
     try {
       // If it's a non-binary message (text), handle it as a control message
       if (!isBinary) {
-        console.log('Received text message');
-        
         // Parse the text message as JSON
         let msgData;
         try {
-          const msgString = message.toString('utf8');
-          console.log('---------------------');
-          console.log(msgString);
-          msgData = JSON.parse(msgString);
-          console.log(msgData);
+          msgData = JSON.parse(message.toString('utf8'));
         } catch (jsonErr) {
-          console.error('Failed to parse text message as JSON:', jsonErr);
+          sessionData.log.warn('Failed to parse text message as JSON', { error: jsonErr });
+          handleProtocolViolation(ws, sessionData, {
+            code: ProtocolErrorCode.BAD_REQUEST,
+            reason: 'Malformed JSON message'
+          });
           return;
         }
         
-        // Update session tracking
-        sessionData.clientSeq = msgData.seq;
-        
-        // Handle different message types
-        switch (msgData.type) {
-          case 'open':
-            console.log('Processing open message');
-            await handleOpenMessage(ws, sessionData, msgData);
-            break;
-          case 'close':
-            await handleCloseMessage(ws, sessionData, msgData);
-            break;
-          case 'paused':
-            handlePausedMessage(sessionData, msgData);
-            break;
-          case 'ping':
-            handlePingMessage(ws, sessionData, msgData);
-            break;
-          case 'discarded':
-            handleDiscardedMessage(sessionData, msgData);
-            break;
-          case 'update':
-            handleUpdateMessage(ws, sessionData, msgData);
-            break;
-          case 'resumed':
-            handleResumedMessage(sessionData, msgData);
-            break;
-          case 'error':
-            console.log(`Client error: ${msgData.parameters.code} - ${msgData.parameters.message}`);
-            break;
-          default:
-            console.log(`Unhandled message type: ${msgData.type}`);
-        }
+        await handleControlMessage(ws, sessionData, msgData);
       }
       // If it's a binary message, try to interpret it
       else {
@@ -197,91 +397,139 @@ wss.on('connection', (ws, req) => {
           
           // Check if it looks like JSON
           if (messageString.startsWith('{') && messageString.includes('"type"')) {
-            console.log('Received JSON message in binary frame');
-            console.log('---------------------');
-            console.log(messageString);
+            sessionData.log.debug('Received JSON message in binary frame');
             
             // Parse as JSON
             const msgData = JSON.parse(messageString);
-            console.log(msgData);
             
-            // Update session tracking
-            sessionData.clientSeq = msgData.seq;
-            
-            // Handle different message types
-            switch (msgData.type) {
-              case 'open':
-                console.log('Processing open message from binary frame');
-                await handleOpenMessage(ws, sessionData, msgData);
-                break;
-              case 'close':
-                await handleCloseMessage(ws, sessionData, msgData);
-                break;
-              case 'paused':
-                handlePausedMessage(sessionData, msgData);
-                break;
-              case 'ping':
-                handlePingMessage(ws, sessionData, msgData);
-                break;
-              case 'discarded':
-                handleDiscardedMessage(sessionData, msgData);
-                break;
-              case 'update':
-                handleUpdateMessage(ws, sessionData, msgData);
-                break;
-              case 'resumed':
-                handleResumedMessage(sessionData, msgData);
-                break;
-              case 'error':
-                console.log(`Client error: ${msgData.parameters.code} - ${msgData.parameters.message}`);
-                break;
-              default:
-                console.log(`Unhandled message type: ${msgData.type}`);
-            }
+            await handleControlMessage(ws, sessionData, msgData);
           } 
           // It's not a JSON message, so it must be audio data
           else {
-            console.log(`Received binary audio data: ${message.length} bytes`);
-            
-            if (sessionData.state === 'open') {
+            if (sessionData.state === SessionState.OPEN) {
               handleAudioData(sessionData, message);
             } else {
-              console.log('Received audio data but session not open yet, ignoring');
+              sessionData.log.debug('Received audio data but session not open yet, ignoring', { bytes: message.length });
             }
           }
         } catch (err) {
           // If we get here, it's probably binary audio data
-          console.log(`Received binary audio data: ${message.length} bytes`);
-          
-          if (sessionData.state === 'open') {
+          if (sessionData.state === SessionState.OPEN) {
             handleAudioData(sessionData, message);
           } else {
-            console.log('Received audio data but session not open yet, ignoring');
+            sessionData.log.debug('Received audio data but session not open yet, ignoring', { bytes: message.length });
           }
         }
       }
     } catch (error) {
-      console.error('Error processing message:', error);
+      sessionData.log.error('Error processing message', { error });
     }
   });
   
   // Handle WebSocket close
   ws.on('close', async (code, reason) => {
-    console.log(`WebSocket closed for session ${sessionId}: code=${code}, reason=${reason || 'none'}`);
+    sessionData.log.info('WebSocket closed', { code, reason: reason ? reason.toString() : 'none' });
+    closeListeners(sessionData, 'Session ended');
+    notifyPauseWaiters(sessionData, true);
     await cleanupSession(sessionData);
     activeSessions.delete(sessionId);
+    rememberCompletedSession(sessionData);
+    metrics.sessionsClosed.inc();
   });
   
   // Handle WebSocket errors
   ws.on('error', (error) => {
-    console.error(`WebSocket error for session ${sessionId}:`, error);
+    sessionData.log.error('WebSocket error', { error });
   });
 });
 
+// Logger that tags every line with the session's ids; the conversation id is only known after open
+function createSessionLogger(sessionData) {
+  return logger.child(() => ({
+    sessionId: sessionData.id,
+    conversationId: sessionData.conversationId,
+    correlationId: sessionData.correlationId
+  }));
+}
+
+// Validate a control message against the protocol state machine and dispatch it
+async function handleControlMessage(ws, sessionData, msgData) {
+  const result = validateClientMessage(sessionData, msgData);
+  if (!result.valid) {
+    // Once the client was told to disconnect, further violations are only logged
+    if (msgData && typeof msgData === 'object' && !sessionData.disconnectSent) {
+      recordTimelineEvent(sessionData, 'client', msgData, { violation: result.reason });
+    }
+    handleProtocolViolation(ws, sessionData, result);
+    return;
+  }
+  
+  recordTimelineEvent(sessionData, 'client', msgData);
+  sessionData.log.debug('Received control message', { message: msgData });
+  
+  // Update session tracking
+  sessionData.clientSeq = msgData.seq;
+  
+  // Handle different message types
+  switch (msgData.type) {
+    case 'open':
+      await handleOpenMessage(ws, sessionData, msgData);
+      break;
+    case 'close':
+      await handleCloseMessage(ws, sessionData, msgData);
+      break;
+    case 'paused':
+      handlePausedMessage(sessionData, msgData);
+      break;
+    case 'ping':
+      handlePingMessage(ws, sessionData, msgData);
+      break;
+    case 'discarded':
+      handleDiscardedMessage(sessionData, msgData);
+      break;
+    case 'update':
+      handleUpdateMessage(ws, sessionData, msgData);
+      break;
+    case 'resumed':
+      handleResumedMessage(sessionData, msgData);
+      break;
+    case 'error':
+      sessionData.log.warn('Client reported an error', { code: msgData.parameters.code, errorMessage: msgData.parameters.message });
+      metrics.protocolErrors.inc({ code: msgData.parameters.code, source: 'client' });
+      break;
+  }
+}
+
+// End a session that went over one of its limits; what was recorded so far is still uploaded
+function enforceSessionLimit(sessionData, exceeded) {
+  sessionData.limitExceeded = exceeded.limit;
+  sessionData.log.warn('Session limit exceeded', { limit: exceeded.limit, bytesReceived: sessionData.bytesReceived });
+  metrics.sessionLimits.inc({ limit: exceeded.limit });
+  recordOutcome(sessionData, 'limit', 'exceeded', { limit: exceeded.limit, info: exceeded.info });
+  
+  if (!sessionData.disconnectSent) {
+    sendErrorMessage(sessionData.ws, sessionData, exceeded.code, exceeded.info);
+    sendDisconnectMessage(sessionData.ws, sessionData, 'error', exceeded.info);
+  }
+}
+
+// Answer a protocol violation with an error and end the session with a disconnect
+function handleProtocolViolation(ws, sessionData, violation) {
+  sessionData.log.warn('Protocol violation', { code: violation.code, reason: violation.reason });
+  
+  // Nothing left to disconnect once the session is closing, or if we already asked the client to
+  if (sessionData.state === SessionState.CLOSING || sessionData.state === SessionState.CLOSED ||
+      sessionData.disconnectSent) {
+    return;
+  }
+  
+  sendErrorMessage(ws, sessionData, violation.code, violation.reason);
+  sendDisconnectMessage(ws, sessionData, 'error', violation.reason);
+}
+
 // Handle open message - negotiate media format
 async function handleOpenMessage(ws, sessionData, message) {
-  console.log('Handling open message with details:');
-  console.log(JSON.stringify(message, null, 2));
+  sessionData.log.info('Handling open message');
   
   try {
     // Check if this is a connection probe
@@ -289,40 +537,37 @@ async function handleOpenMessage(ws, sessionData, message) {
       (message.parameters.participant && message.parameters.participant.id === '00000000-0000-0000-0000-000000000000');
     
     if (isConnectionProbe) {
-      console.log('Connection probe detected - this is a test connection, not a real call');
+      sessionData.log.info('Connection probe detected - this is a test connection, not a real call');
       sessionData.isConnectionProbe = true;
+      metrics.connectionProbes.inc();
     }
     
     // Extract media parameters from the open message
     const mediaOptions = message.parameters.media || [];
-    console.log(`Media options offered: ${JSON.stringify(mediaOptions)}`);
-    
-    // Select the first media format (usually stereo)
-    let selectedMedia = null;
-    if (mediaOptions.length > 0) {
-      // Prefer stereo if available
-      for (const media of mediaOptions) {
-        if (media.type === 'audio' && 
-            media.format === 'PCMU' && 
-            media.channels &&
-            media.channels.length === 2) {
-          selectedMedia = media;
-          console.log('Selected stereo media format');
-          break;
-        }
-      }
-      
-      // Fall back to first option if no stereo found
-      if (!selectedMedia) {
-        selectedMedia = mediaOptions[0];
-        console.log('Selected first available media format');
-      }
-    } else {
-      console.log('No media options provided');
+    sessionData.log.debug('Media options offered', { media: mediaOptions });
+    sessionData.offeredMedia = mediaOptions;
+    
+    if (mediaOptions.length === 0) {
+      sessionData.log.warn('No media options provided');
       sendDisconnectMessage(ws, sessionData, 'error', 'No media options provided');
       return;
     }
     
+    // Select the offered media option that best matches the configured policy
+    const selectedMedia = selectMedia(mediaOptions, config.media);
+    if (!selectedMedia) {
+      sessionData.log.warn('None of the offered media options are acceptable', { media: mediaOptions });
+      sendErrorMessage(ws, sessionData, ProtocolErrorCode.UNSUPPORTED_MEDIA_TYPE, 'No supported media format offered');
+      sendDisconnectMessage(ws, sessionData, 'error', 'No supported media format offered');
+      return;
+    }
+    sessionData.log.info('Selected media format', { format: selectedMedia.format, rate: selectedMedia.rate, channels: selectedMedia.channels });
+    
+    // Get the recording's data key before audio can arrive, so no frame is stored unencrypted
+    if (keyProvider && !sessionData.isConnectionProbe) {
+      sessionData.encryption = await keyProvider.generateDataKey();
+    }
+    
     // CRITICAL: Send opened response immediately
     const openedResponse = {
       version: '2',
@@ -337,14 +582,16 @@ async function handleOpenMessage(ws, sessionData, message) {
     };
     
     // Send the response
-    const responseStr = JSON.stringify(openedResponse);
-    console.log(`Sending opened response: ${responseStr}`);
-    ws.send(responseStr);
-    console.log('Opened response sent successfully');
+    ws.send(JSON.stringify(openedResponse));
+    recordTimelineEvent(sessionData, 'server', openedResponse);
+    sessionData.log.debug('Sent opened response', { seq: openedResponse.seq });
     
     // Update session state AFTER sending response
-    sessionData.state = 'open';
+    sessionData.state = SessionState.OPEN;
     sessionData.audioFormat = selectedMedia;
+    if (!sessionData.isConnectionProbe) {
+      metrics.sessionsOpened.inc();
+    }
     sessionData.position = message.position;
     
     // Save important information from the open message
@@ -352,10 +599,12 @@ async function handleOpenMessage(ws, sessionData, message) {
     sessionData.conversationId = message.parameters.conversationId;
     sessionData.participant = message.parameters.participant;
     sessionData.language = message.parameters.language || 'unknown';
+    sessionData.initialLanguage = sessionData.language;
+    sessionData.transcriptionOptions = extractTranscriptionOptions(message.parameters.inputVariables, sessionData.log);
     
     // If this is just a connection probe, don't create a recording file
     if (sessionData.isConnectionProbe) {
-      console.log('Skipping file creation for connection probe');
+      sessionData.log.debug('Skipping file creation for connection probe');
       return;
     }
     
@@ -364,37 +613,51 @@ async function handleOpenMessage(ws, sessionData, message) {
     const rawFilename = `${timestamp}_${sessionData.conversationId}_${sessionData.participant.id}.raw`;
     const rawFilePath = path.join(config.recordingsDir, rawFilename);
     
-    console.log(`Creating recording file: ${rawFilePath}`);
+    // Update session data with recording info
+    sessionData.rawFilename = rawFilename;
+    sessionData.channels = selectedMedia.channels;
+    sessionData.sampleRate = selectedMedia.rate;
+    sessionData.format = selectedMedia.format;
+    
+    // In stream mode the local copy is still written, so a streamed upload that fails
+    // falls back to a batch upload or to recovery instead of losing the call
+    sessionData.log.info('Creating recording file', { file: rawFilePath });
     
     // Create a write stream for the recording
-    const fileStream = fs.createWriteStream(rawFilePath);
+    const fileStream = getFileIo(sessionData).createWriteStream(rawFilePath);
     
     // Set up error handler for the file stream
     fileStream.on('error', (err) => {
-      console.error(`File stream error: ${err.message}`);
+      sessionData.log.error('File stream error', { error: err });
     });
     
-    // Update session data with recording info
-    sessionData.rawFilename = rawFilename;
     sessionData.rawFilePath = rawFilePath;
     sessionData.fileStream = fileStream;
-    sessionData.channels = selectedMedia.channels;
-    sessionData.sampleRate = selectedMedia.rate;
     
-    console.log('Open transaction completed successfully');
+    // Journal the session so the recording can be recovered if the process dies
+    updateJournal(sessionData);
+    
+    if (config.upload.mode === 'stream') {
+      startStreamingUploads(sessionData);
+    }
+    
+    if (transcriptionEngine) {
+      startTranscription(ws, sessionData, parseIsoDuration(message.position) || 0);
+    }
+    
+    sessionData.log.debug('Open transaction completed successfully');
   } catch (error) {
-    console.error('Error in handleOpenMessage:', error);
-    sendErrorMessage(ws, sessionData, 500, 'Internal server error');
+    sessionData.log.error('Error handling open message', { error });
+    sendErrorMessage(ws, sessionData, ProtocolErrorCode.INTERNAL_ERROR, 'Internal server error');
   }
 }
 
-// Handle close message - finalize recording and upload to S3
-// Handle close message - finalize recording and upload to S3
+// Handle close message - finalize recording and upload to storage
 async function handleCloseMessage(ws, sessionData, message) {
-  console.log('Handling close message');
+  sessionData.log.info('Handling close message');
   
   // Update session state
-  sessionData.state = 'closing';
+  sessionData.state = SessionState.CLOSING;
   sessionData.position = message.position;
   sessionData.endTime = new Date();
   sessionData.callDuration = (sessionData.endTime - sessionData.startTime) / 1000;
@@ -402,11 +665,11 @@ async function handleCloseMessage(ws, sessionData, message) {
   try {
     // Close the file stream if it exists
     if (sessionData.fileStream) {
-      console.log('Closing file stream');
+      sessionData.log.debug('Closing file stream');
       await new Promise((resolve, reject) => {
         sessionData.fileStream.end(err => {
           if (err) {
-            console.error(`Error closing file stream: ${err.message}`);
+            sessionData.log.error('Error closing file stream', { error: err });
             reject(err);
           } else {
             resolve();
@@ -415,66 +678,160 @@ async function handleCloseMessage(ws, sessionData, message) {
       });
     }
     
-    // Skip audio conversion and S3 upload for connection probes
-    if (!sessionData.isConnectionProbe && sessionData.rawFilePath && fs.existsSync(sessionData.rawFilePath)) {
+    // Complete the uploads that were streamed while the call was live
+    if (sessionData.streamingUploads) {
+      try {
+        await finishStreamingUploads(sessionData);
+      } catch (uploadErr) {
+        sessionData.log.error('Streaming upload failed', { error: uploadErr });
+      }
+    }
+    
+    // Flush the last transcript events while Genesys is still listening
+    await stopTranscription(sessionData);
+    
+    await finalizeRecording(sessionData);
+    
+    // Send closed response
+    sendClosedResponse(ws, sessionData, message);
+    sessionData.state = SessionState.CLOSED;
+    
+    // The manifest goes last so its timeline includes the closed response; a recording
+    // that still has to be recovered gets its manifest once it is uploaded
+    if (sessionData.uploaded) {
+      await uploadManifest(sessionData);
+    } else {
+      updateJournal(sessionData);
+    }
+  } catch (error) {
+    sessionData.log.error('Error handling close message', { error });
+    sendErrorMessage(ws, sessionData, ProtocolErrorCode.INTERNAL_ERROR, 'Internal Error');
+  }
+}
+
+// Convert the finished raw recording and upload it to storage
+async function finalizeRecording(sessionData) {
+  sessionData.finalized = true;
+  
+  // Skip audio conversion and upload for connection probes
+  if (!sessionData.isConnectionProbe && sessionData.rawFilePath && fs.existsSync(sessionData.rawFilePath)) {
+    // The WAV was already streamed to storage, so only convert when it still needs uploading
+    if (!sessionData.streamed) {
       try {
         const wavFilename = sessionData.rawFilename.replace('.raw', '.wav');
         const wavFilePath = path.join(config.recordingsDir, wavFilename);
         
-        console.log(`Converting raw audio to WAV: ${wavFilePath}`);
+        sessionData.log.info('Converting raw audio to WAV', { file: wavFilePath });
         
+        const stopTimer = metrics.conversionSeconds.startTimer();
         await convertRawToWav(
           sessionData.rawFilePath, 
           wavFilePath, 
           sessionData.channels.length, 
           sessionData.sampleRate,
-          sessionData.channels
+          sessionData.channels,
+          sessionData.format,
+          getFileIo(sessionData)
         );
+        stopTimer();
         
         sessionData.wavFilename = wavFilename;
         sessionData.wavFilePath = wavFilePath;
         
         // Get audio statistics
-        const audioStats = await getAudioStats(wavFilePath);
+        const audioStats = await getAudioStats(wavFilePath, getFileIo(sessionData));
         sessionData.audioStats = audioStats;
         
-        console.log(`Successfully converted audio with channels: ${sessionData.channels.join(', ')}`);
+        recordOutcome(sessionData, 'conversion', 'succeeded', { file: wavFilename });
+        sessionData.log.info('Converted audio', { channels: sessionData.channels, durationSeconds: audioStats.duration });
       } catch (error) {
-        console.error('Error converting audio:', error);
+        recordOutcome(sessionData, 'conversion', 'failed', { error: error.message });
+        metrics.conversionFailures.inc();
+        sessionData.log.error('Error converting audio', { error });
       }
     }
     
-    // Upload the recording to S3 if enabled and not a connection probe
-    if (!sessionData.isConnectionProbe && s3Client && 
-        sessionData.rawFilePath && fs.existsSync(sessionData.rawFilePath)) {
+    // Optionally write each channel (e.g. customer and agent) to its own mono WAV
+    if (config.splitChannels && sessionData.channels.length > 1) {
       try {
-        await uploadToS3(sessionData);
-      } catch (s3Err) {
-        console.error('S3 upload failed:', s3Err);
+        const channelFiles = sessionData.channels.map(channel => {
+          const filename = sessionData.rawFilename.replace('.raw', `_${channel}.wav`);
+          return { channel, filename, filePath: path.join(config.recordingsDir, filename) };
+        });
+        
+        await convertRawToChannelWavs(
+          sessionData.rawFilePath,
+          channelFiles.map(file => file.filePath),
+          sessionData.sampleRate,
+          sessionData.channels,
+          sessionData.format,
+          getFileIo(sessionData)
+        );
+        
+        sessionData.channelFiles = channelFiles;
+        recordOutcome(sessionData, 'channelSplit', 'succeeded', { files: channelFiles.map(file => file.filename) });
+        sessionData.log.info('Split audio into channel files', { files: channelFiles.length });
+      } catch (error) {
+        recordOutcome(sessionData, 'channelSplit', 'failed', { error: error.message });
+        sessionData.log.error('Error splitting audio channels', { error });
       }
     }
-    
-    // Send closed response
-    sendClosedResponse(ws, sessionData, message);
-  } catch (error) {
-    console.error('Error handling close message:', error);
-    sendErrorMessage(ws, sessionData, 500, 'Internal Error');
+  }
+  
+  // Upload the recording unless this is a connection probe
+  if (!sessionData.isConnectionProbe && 
+      sessionData.rawFilePath && fs.existsSync(sessionData.rawFilePath)) {
+    try {
+      const keys = await uploadRecording(sessionData);
+      sessionData.uploaded = true;
+      recordOutcome(sessionData, 'upload', 'succeeded', { keys });
+    } catch (uploadErr) {
+      recordOutcome(sessionData, 'upload', 'failed', { error: uploadErr.message });
+      sessionData.log.error('Recording upload failed', { error: uploadErr });
+    }
+  } else if (sessionData.streamed) {
+    sessionData.uploaded = true;
   }
 }
 
 // Handle paused message
 function handlePausedMessage(sessionData, message) {
-  console.log('Handling paused message');
+  const { serverPause } = sessionData;
+  sessionData.log.info('Handling paused message', { position: message.position, reason: serverPause ? serverPause.reason : null });
+  
+  // A pause requested by the server is acknowledged by the next paused message
+  if (serverPause && !serverPause.acknowledged) {
+    serverPause.acknowledged = true;
+    serverPause.position = message.position;
+    endWithheldAudio(sessionData);
+  }
+  
+  // Already paused by the client; the server request only extends the current pause
+  if (sessionData.isPaused) {
+    if (serverPause) {
+      sessionData.currentPauseReason = serverPause.reason;
+    }
+    notifyPauseWaiters(sessionData);
+    return;
+  }
+  
+  sessionData.state = SessionState.PAUSED;
   sessionData.isPaused = true;
   sessionData.position = message.position;
   
   // Record pause start time to track pause duration
   sessionData.currentPauseStart = message.position;
+  sessionData.currentPauseInitiator = serverPause ? 'server' : 'client';
+  sessionData.currentPauseReason = serverPause ? serverPause.reason : null;
+  sessionData.currentPauseWithheld = serverPause ? serverPause.withheld : null;
+  updateJournal(sessionData);
+  notifyPauseWaiters(sessionData);
 }
 
 // Handle resumed message
 function handleResumedMessage(sessionData, message) {
-  console.log('Handling resumed message');
+  sessionData.log.info('Handling resumed message', { position: message.position, discarded: message.parameters.discarded });
+  sessionData.state = SessionState.OPEN;
   sessionData.isPaused = false;
   sessionData.position = message.position;
   
@@ -483,11 +840,112 @@ function handleResumedMessage(sessionData, message) {
     const pauseSegment = {
       start: sessionData.currentPauseStart,
       end: message.position,
-      duration: message.parameters.discarded
+      duration: message.parameters.discarded,
+      initiator: sessionData.currentPauseInitiator || 'client',
+      reason: sessionData.currentPauseReason || null,
+      withheld: sessionData.currentPauseWithheld || null  // Audio dropped between the server's pause request and the client's paused
     };
     
     sessionData.pauseSegments.push(pauseSegment);
     sessionData.currentPauseStart = null;
+    
+    const pausedSeconds = parseIsoDuration(message.parameters.discarded);
+    if (pausedSeconds !== null) {
+      metrics.pausedSeconds.observe({}, pausedSeconds);
+    }
+  }
+  
+  // The client should only resume a server pause when asked to
+  if (sessionData.serverPause && !sessionData.serverPause.resumeSeq) {
+    sessionData.log.warn('Client resumed during a server-initiated pause', { reason: sessionData.serverPause.reason });
+  }
+  sessionData.serverPause = null;
+  
+  fillTimelineGap(sessionData, message.parameters.discarded, 'paused');
+  recordTranscriptionGap(sessionData, message.parameters.discarded);
+  updateJournal(sessionData);
+  notifyPauseWaiters(sessionData);
+}
+
+// Ask the client to pause, resolving true once it has acknowledged with a paused message
+// A request made while an earlier one is pending waits for that one and keeps its reason
+function requestServerPause(sessionData, reason) {
+  if (!sessionData.serverPause) {
+    sessionData.serverPause = {
+      reason,
+      requestedAt: new Date().toISOString(),
+      pauseSeq: sendPauseMessage(sessionData.ws, sessionData),
+      acknowledged: false,
+      position: null,
+      resumeSeq: null,
+      withheldBytes: 0,  // Audio received since the request, kept out of the recording until the client pauses
+      withheld: null
+    };
+  }
+  return waitForPauseAcknowledgement(sessionData, 'pause', () => sessionData.serverPause && sessionData.serverPause.acknowledged);
+}
+
+// Ask the client to resume after a server pause, resolving true once it has sent resumed
+function requestServerResume(sessionData) {
+  if (!sessionData.serverPause.resumeSeq) {
+    endWithheldAudio(sessionData);
+    sessionData.serverPause.resumeSeq = sendResumeMessage(sessionData.ws, sessionData);
+  }
+  return waitForPauseAcknowledgement(sessionData, 'resume', () => !sessionData.serverPause);
+}
+
+// Whether audio is being kept out of the recording while a server pause waits for the client
+function isWithholdingAudio(sessionData) {
+  const { serverPause } = sessionData;
+  return Boolean(serverPause && !serverPause.acknowledged && !serverPause.resumeSeq);
+}
+
+// Stop withholding audio for a server pause and fill the stretch that was dropped as a gap
+function endWithheldAudio(sessionData) {
+  const { serverPause } = sessionData;
+  if (!serverPause.withheldBytes) {
+    return;
+  }
+  
+  const bytesPerSecond = sessionData.sampleRate * sessionData.channels.length * getBytesPerSample(sessionData.format);
+  serverPause.withheld = formatIsoDuration(serverPause.withheldBytes / bytesPerSecond);
+  serverPause.withheldBytes = 0;
+  sessionData.log.info('Stopped withholding audio for a server pause', { withheld: serverPause.withheld, acknowledged: serverPause.acknowledged });
+  
+  fillTimelineGap(sessionData, serverPause.withheld, 'withheld');
+  recordTranscriptionGap(sessionData, serverPause.withheld);
+}
+
+// Wait until a pause request is acknowledged, the request times out or the session ends
+function waitForPauseAcknowledgement(sessionData, type, isAcknowledged) {
+  return new Promise((resolve) => {
+    const finish = (acknowledged) => {
+      clearTimeout(timer);
+      sessionData.pauseWaiters.delete(check);
+      metrics.serverPauses.inc({ type, result: acknowledged ? 'acknowledged' : 'timeout' });
+      if (!acknowledged) {
+        sessionData.log.warn('Client did not acknowledge server request', { type });
+      }
+      resolve(acknowledged);
+    };
+    const check = (ended) => {
+      if (isAcknowledged()) {
+        finish(true);
+      } else if (ended) {
+        finish(false);
+      }
+    };
+    const timer = setTimeout(() => finish(false), config.pauseControl.ackTimeoutMs);
+    
+    sessionData.pauseWaiters.add(check);
+    check(false);
+  });
+}
+
+// Re-check pending pause requests after a paused or resumed message, or fail them once the session ends
+function notifyPauseWaiters(sessionData, ended = false) {
+  for (const check of Array.from(sessionData.pauseWaiters)) {
+    check(ended);
   }
 }
 
@@ -499,7 +957,6 @@ function handlePingMessage(ws, sessionData, message) {
 
 // Handle discarded message
 function handleDiscardedMessage(sessionData, message) {
-  console.log('Handling discarded message');
   // Update position
   sessionData.position = message.position;
   
@@ -511,37 +968,156 @@ function handleDiscardedMessage(sessionData, message) {
   
   sessionData.discardedSegments.push(discardedSegment);
   
-  // Log discarded audio for debugging
-  console.log(`Discarded audio: start=${message.parameters.start}, discarded=${message.parameters.discarded}`);
+  const discardedSeconds = parseIsoDuration(message.parameters.discarded);
+  if (discardedSeconds !== null) {
+    metrics.discardedSeconds.observe({}, discardedSeconds);
+  }
+  
+  sessionData.log.info('Handling discarded message', { start: message.parameters.start, discarded: message.parameters.discarded });
+  
+  fillTimelineGap(sessionData, message.parameters.discarded, 'discarded');
+  recordTranscriptionGap(sessionData, message.parameters.discarded);
+  updateJournal(sessionData);
+}
+
+// Write silence (or a marker tone) for audio Genesys never sent, so offsets
+// in the recording keep matching the conversation timeline
+function fillTimelineGap(sessionData, discarded, reason) {
+  if (!config.gapFill.enabled || (!sessionData.fileStream && !sessionData.streamingUploads) || sessionData.isConnectionProbe) {
+    return;
+  }
+  
+  const seconds = parseIsoDuration(discarded);
+  if (seconds === null) {
+    sessionData.log.warn('Cannot fill gap: invalid duration', { reason, discarded });
+    return;
+  }
+  
+  const channels = sessionData.channels.length;
+  const totalFrames = Math.round(seconds * sessionData.sampleRate);
+  
+  // Write at most one second per chunk to keep long gaps from allocating large buffers
+  for (let frame = 0; frame < totalFrames; frame += sessionData.sampleRate) {
+    const frames = Math.min(sessionData.sampleRate, totalFrames - frame);
+    const fill = generateFill(frames, channels, sessionData.sampleRate, config.gapFill.mode, frame, sessionData.format);
+    writeAudio(sessionData, fill);
+    sessionData.gapFillBytes += fill.length;
+  }
+  
+  sessionData.log.info('Filled timeline gap', { reason, seconds, mode: config.gapFill.mode });
 }
 
 // Handle update message
 function handleUpdateMessage(ws, sessionData, message) {
-  console.log('Handling update message');
+  sessionData.log.info('Handling update message');
   
   // Update language if provided
   if (message.parameters.language) {
+    sessionData.languageChanges.push({
+      position: message.position,
+      from: sessionData.language,
+      to: message.parameters.language
+    });
     sessionData.language = message.parameters.language;
-    console.log(`Updated language to: ${sessionData.language}`);
+    sessionData.log.info('Updated language', { language: sessionData.language });
+    updateJournal(sessionData);
+  }
+}
+
+// Journal the session after its recoverable state changed, opening the journal on first use
+function updateJournal(sessionData) {
+  if (!sessionData.rawFilePath) {
+    return;
+  }
+  
+  try {
+    if (sessionData.journal) {
+      sessionData.journal.update();
+    } else {
+      sessionData.journal = openJournal(config.recordingsDir, sessionData);
+    }
+  } catch (error) {
+    sessionData.log.error('Error writing session journal', { error });
+  }
+}
+
+// Close the session journal; it stays on disk until removeJournal
+async function closeJournal(sessionData) {
+  if (sessionData.journal) {
+    const { journal } = sessionData;
+    sessionData.journal = null;
+    await journal.close();
   }
 }
 
 // Handle audio data frames
-// Update handleAudioData function
 function handleAudioData(sessionData, audioBuffer) {
   // Skip if session is not open or is paused or is a connection probe
-  if (sessionData.state !== 'open' || sessionData.isPaused || sessionData.isConnectionProbe) {
-    console.log(`Cannot process audio: state=${sessionData.state}, isPaused=${sessionData.isPaused}, isProbe=${sessionData.isConnectionProbe || false}`);
+  if (sessionData.state !== SessionState.OPEN || sessionData.isPaused || sessionData.isConnectionProbe) {
+    sessionData.log.debug('Cannot process audio', { state: sessionData.state, isPaused: sessionData.isPaused, isProbe: sessionData.isConnectionProbe || false });
+    return;
+  }
+  
+  // Audio that arrives after a limit was hit, until the client closes, isn't recorded
+  if (sessionData.limitExceeded) {
+    return;
+  }
+  
+  // Once the server asks for a pause, audio is kept out of the recording, transcription and
+  // listeners right away instead of from the client's acknowledgement
+  if (isWithholdingAudio(sessionData)) {
+    sessionData.serverPause.withheldBytes += audioBuffer.length;
+    return;
+  }
+  
+  const exceeded = checkSessionLimits(config.limits, sessionData, audioBuffer.length, getFreeDiskBytes());
+  if (exceeded) {
+    enforceSessionLimit(sessionData, exceeded);
     return;
   }
   
   // Track bytes received
   const bytesCount = audioBuffer.length;
   sessionData.bytesReceived += bytesCount;
+  metrics.audioBytes.inc({}, bytesCount);
+  metrics.audioFrames.inc();
+  
+  logAudioSummary(sessionData, bytesCount);
   
-  // Log audio frame less frequently to avoid flooding logs
-  if (sessionData.bytesReceived % 50000 < bytesCount) {
-    console.log(`Processed ${Math.floor(sessionData.bytesReceived/1024)}KB of audio data so far`);
+  writeAudio(sessionData, audioBuffer);
+  
+  if (sessionData.transcription) {
+    feedTranscription(sessionData, audioBuffer);
+  }
+  
+  if (sessionData.listeners.size > 0) {
+    feedListeners(sessionData, audioBuffer);
+  }
+}
+
+// Summarize received audio every few seconds instead of logging each frame
+function logAudioSummary(sessionData, bytesCount) {
+  const now = Date.now();
+  const summary = sessionData.audioLogSummary || (sessionData.audioLogSummary = { since: now, frames: 0, bytes: 0 });
+  summary.frames++;
+  summary.bytes += bytesCount;
+  
+  if (now - summary.since >= config.logging.audioSummaryIntervalMs) {
+    sessionData.log.info('Received audio', {
+      frames: summary.frames,
+      bytes: summary.bytes,
+      intervalSeconds: (now - summary.since) / 1000,
+      totalBytes: sessionData.bytesReceived
+    });
+    sessionData.audioLogSummary = { since: now, frames: 0, bytes: 0 };
+  }
+}
+
+// Write audio to the local recording file and any live uploads
+function writeAudio(sessionData, audioBuffer) {
+  if (!sessionData.fileStream && !sessionData.streamingUploads) {
+    sessionData.log.warn('No fileStream available for writing audio data');
+    return;
   }
   
   // Write the audio data to the file if we have a fileStream
@@ -549,83 +1125,494 @@ function handleAudioData(sessionData, audioBuffer) {
     try {
       sessionData.fileStream.write(audioBuffer);
     } catch (error) {
-      console.error(`Error writing audio data to file: ${error.message}`);
+      sessionData.log.error('Error writing audio data to file', { error });
     }
-  } else {
-    console.warn('No fileStream available for writing audio data');
+  }
+  
+  if (sessionData.streamingUploads) {
+    sessionData.streamingUploads.raw.write(audioBuffer);
+    sessionData.streamingUploads.wav.write(decodeAudio(audioBuffer, sessionData.format));
   }
 }
 
-// Upload the recording to S3
-async function uploadToS3(sessionData) {
-  console.log(`Uploading recording ${sessionData.rawFilename} to S3`);
-
-  const filePath =  `${config.s3.keyPrefix}${sessionData.rawFilename.replace('.raw', '')}/audio/`
+// Open one speech-to-text stream per channel and relay results to Genesys as events
+function startTranscription(ws, sessionData, startSeconds) {
+  const timeline = createTimelineMap(startSeconds);
+  const utteranceIds = new Map();
   
-  try {
-    // Upload raw file
-    const rawFileData = fs.readFileSync(sessionData.rawFilePath);
-    const s3RawKey = `${filePath}${sessionData.rawFilename}`;
-    
-    // Set up metadata
-    const metadata = {
-      'conversation-id': sessionData.conversationId,
-      'participant-id': sessionData.participant.id,
-      'ani': sessionData.participant.ani || 'unknown',
-      'dnis': sessionData.participant.dnis || 'unknown',
-      'audio-format': sessionData.audioFormat.format,
-      'sample-rate': sessionData.audioFormat.rate.toString(),
-      'channels': sessionData.audioFormat.channels.join(','),
-      'language': sessionData.language,
-      'duration-seconds': sessionData.callDuration ? sessionData.callDuration.toString() : 'unknown',
-      'start-time': sessionData.startTime.toISOString(),
-      'bytes': sessionData.bytesReceived.toString()
-    };
+  const onResult = (result) => {
+    if (!result.isFinal && !config.transcription.sendPartials) {
+      return;
+    }
     
-    // Upload raw file to S3
-    const rawCommand = new PutObjectCommand({
-      Bucket: config.s3.bucket,
-      Key: s3RawKey,
-      Body: rawFileData,
-      ContentType: 'audio/basic', // PCMU raw audio
-      Metadata: metadata
-    });
+    // Engine offsets only count audio that was sent; shift them onto conversation time
+    const mapped = {
+      ...result,
+      offsetSeconds: timeline.toConversation(result.offsetSeconds),
+      words: result.words.map(word => ({
+        ...word,
+        offsetSeconds: timeline.toConversation(word.offsetSeconds)
+      }))
+    };
     
-    await s3Client.send(rawCommand);
-    console.log(`Successfully uploaded raw recording to S3: ${s3RawKey}`);
+    // Keep one id per channel until the utterance is final so Genesys replaces partials
+    if (!utteranceIds.has(result.channelIndex)) {
+      utteranceIds.set(result.channelIndex, randomUUID());
+    }
+    const utteranceId = utteranceIds.get(result.channelIndex);
+    if (result.isFinal) {
+      utteranceIds.delete(result.channelIndex);
+    }
     
-    // Upload WAV file if it exists
-    if (sessionData.wavFilePath && fs.existsSync(sessionData.wavFilePath)) {
-      const wavFileData = fs.readFileSync(sessionData.wavFilePath);
+    sendEventMessage(ws, sessionData, [buildTranscriptEntity(mapped, sessionData.language, utteranceId)]);
+  };
+  
+  const streams = sessionData.channels.map((channel, channelIndex) => transcriptionEngine.startStream({
+    sampleRate: sessionData.sampleRate,
+    channel,
+    channelIndex,
+    language: sessionData.language,
+    onResult
+  }));
+  
+  sessionData.transcription = { streams, timeline, streamSeconds: 0 };
+  sessionData.log.info('Started transcription', { engine: transcriptionEngine.name, channels: streams.length });
+}
 
-      const s3WavKey = `${filePath}${sessionData.wavFilename}`;
-      
-      const wavCommand = new PutObjectCommand({
-        Bucket: config.s3.bucket,
-        Key: s3WavKey,
-        Body: wavFileData,
-        ContentType: 'audio/wav',
-        Metadata: {
-          ...metadata,
+// Send a frame of received audio to the per-channel transcription streams
+function feedTranscription(sessionData, audioBuffer) {
+  const { transcription } = sessionData;
+  const pcm = decodeAudio(audioBuffer, sessionData.format);
+  const channelBuffers = deinterleavePcm16(pcm, sessionData.channels.length);
+  
+  try {
+    channelBuffers.forEach((buffer, i) => transcription.streams[i].write(buffer));
+  } catch (error) {
+    sessionData.log.error('Error feeding transcription', { error });
+  }
+  transcription.streamSeconds += channelBuffers[0].length / 2 / sessionData.sampleRate;
+}
+
+// Note audio Genesys never sent so later transcript offsets stay on the conversation timeline
+function recordTranscriptionGap(sessionData, discarded) {
+  const seconds = parseIsoDuration(discarded);
+  if (!sessionData.transcription || !seconds) {
+    return;
+  }
+  
+  sessionData.transcription.timeline.addGap(sessionData.transcription.streamSeconds, seconds);
+}
+
+// End the transcription streams, waiting for their final results
+async function stopTranscription(sessionData) {
+  if (!sessionData.transcription) {
+    return;
+  }
+  
+  const { streams } = sessionData.transcription;
+  sessionData.transcription = null;
+  
+  const results = await Promise.allSettled(streams.map(stream => stream.end()));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => sessionData.log.error('Error ending transcription stream', { error: result.reason }));
+}
+
+// Send a frame of received audio to every supervisor listening to the session
+function feedListeners(sessionData, audioBuffer) {
+  try {
+    const pcm = decodeAudio(audioBuffer, sessionData.format);
+    
+    // Mix each requested channel once, however many supervisors listen to it
+    const mixes = new Map();
+    for (const listener of sessionData.listeners) {
+      if (!mixes.has(listener.channel)) {
+        mixes.set(listener.channel, mixChannels(pcm, sessionData.channels.length, listener.indexes));
+      }
+      listener.write(mixes.get(listener.channel));
+    }
+  } catch (error) {
+    sessionData.log.error('Error sending audio to listeners', { error });
+  }
+}
+
+// Stop every listen-in stream of a session
+function closeListeners(sessionData, reason) {
+  for (const listener of sessionData.listeners) {
+    listener.close(reason);
+  }
+}
+
+// Content types for raw recordings by negotiated format (L16 is little-endian, so not audio/L16)
+const RAW_CONTENT_TYPES = {
+  PCMU: 'audio/basic'
+};
+
+// Build the storage key prefixes for a session's conversation folder from the key template
+function getStoragePaths(sessionData) {
+  const startTime = sessionData.startTime;
+  const pad = (value) => String(value).padStart(2, '0');
+  
+  let conversationPath = renderKeyTemplate(sessionData.tenant.storage.keyTemplate, {
+    prefix: sessionData.tenant.s3.keyPrefix,
+    org: sessionData.organizationId,
+    organizationId: sessionData.organizationId,
+    tenant: sessionData.tenant.id,
+    yyyy: startTime.getUTCFullYear(),
+    mm: pad(startTime.getUTCMonth() + 1),
+    dd: pad(startTime.getUTCDate()),
+    conversationId: sessionData.conversationId,
+    participantId: sessionData.participant.id,
+    sessionId: sessionData.id,
+    recordingId: sessionData.rawFilename.replace('.raw', '')
+  });
+  if (!conversationPath.endsWith('/')) {
+    conversationPath += '/';
+  }
+  
+  return {
+    conversationPath,
+    audioPath: `${conversationPath}audio/`
+  };
+}
+
+// Build the object metadata describing a recording
+function buildRecordingMetadata(sessionData) {
+  return {
+    'conversation-id': sessionData.conversationId,
+    'participant-id': sessionData.participant.id,
+    'ani': sessionData.participant.ani || 'unknown',
+    'dnis': sessionData.participant.dnis || 'unknown',
+    'audio-format': sessionData.audioFormat.format,
+    'sample-rate': sessionData.audioFormat.rate.toString(),
+    'channels': sessionData.audioFormat.channels.join(','),
+    'language': sessionData.language,
+    'duration-seconds': sessionData.callDuration ? sessionData.callDuration.toString() : 'unknown',
+    'start-time': sessionData.startTime.toISOString(),
+    'bytes': sessionData.bytesReceived.toString(),
+    'organization-id': sessionData.organizationId || 'unknown',
+    ...(sessionData.transcriptionOptions ? { 'transcription-options': encodeTranscriptionOptions(sessionData.transcriptionOptions) } : {}),
+    ...(sessionData.recovered ? { 'recovered': 'true' } : {})
+  };
+}
+
+// Per-call transcription options the Lambda understands, with a check for each value's type.
+// The `assemblyai` passthrough is left out: only TRANSCRIPTION_CONFIG may set raw request parameters.
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+const TRANSCRIPTION_OPTION_TYPES = {
+  languageCode: (value) => typeof value === 'string' && /^[a-z]{2}(_[a-z]{2})?$/i.test(value),
+  redactPii: (value) => typeof value === 'boolean',
+  redactPiiPolicies: isStringList,
+  speakerLabels: (value) => typeof value === 'boolean',
+  wordBoost: isStringList,
+  boostParam: (value) => ['low', 'default', 'high'].includes(value)
+};
+
+// S3 allows 2 KB of user metadata per object, so the options get at most half of it
+const TRANSCRIPTION_OPTIONS_MAX_BYTES = 1024;
+
+// Collect per-call transcription options from the open message's input variables
+// Architect flows set them as "transcription.<option>", e.g. "transcription.redactPii": "true"
+function extractTranscriptionOptions(inputVariables, log) {
+  const options = {};
+  
+  for (const [name, value] of Object.entries(inputVariables || {})) {
+    if (!name.startsWith('transcription.')) {
+      continue;
+    }
+    
+    const option = name.slice('transcription.'.length);
+    if (!Object.prototype.hasOwnProperty.call(TRANSCRIPTION_OPTION_TYPES, option)) {
+      log.warn('Ignoring unknown transcription option', { option });
+      continue;
+    }
+    
+    // Input variables are strings, so parse booleans, numbers and lists where possible
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      parsed = value;
+    }
+    
+    if (!TRANSCRIPTION_OPTION_TYPES[option](parsed)) {
+      log.warn('Ignoring transcription option with an invalid value', { option });
+      continue;
+    }
+    options[option] = parsed;
+  }
+  
+  if (Object.keys(options).length === 0) {
+    return null;
+  }
+  
+  // Losing the options only changes how the call is transcribed; an oversized header would fail the upload
+  if (Buffer.byteLength(encodeTranscriptionOptions(options)) > TRANSCRIPTION_OPTIONS_MAX_BYTES) {
+    log.warn('Ignoring transcription options larger than the metadata allows', { maxBytes: TRANSCRIPTION_OPTIONS_MAX_BYTES });
+    return null;
+  }
+  
+  return options;
+}
+
+// Serialize transcription options for object metadata, which only carries ASCII;
+// non-ASCII characters (e.g. in word boost terms) become JSON \u escapes
+function encodeTranscriptionOptions(options) {
+  return JSON.stringify(options).replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+// Start uploads that receive the raw and WAV audio while the call is live
+function startStreamingUploads(sessionData) {
+  const storage = getStorage(sessionData.tenant);
+  const { audioPath } = getStoragePaths(sessionData);
+  const wavFilename = sessionData.rawFilename.replace('.raw', '.wav');
+  const partSize = config.upload.partSizeMB * 1024 * 1024;
+  const tagging = getRetentionTagging(sessionData.tenant);
+  
+  // Duration and size aren't known until the call ends
+  const metadata = {
+    ...buildRecordingMetadata(sessionData),
+    'bytes': 'unknown',
+    'streamed': 'true'
+  };
+  
+  const wavHeaderOptions = {
+    channels: sessionData.channels.length,
+    sampleRate: sessionData.sampleRate,
+    channelTypes: sessionData.channels
+  };
+  const wavHeader = buildWavHeader({ ...wavHeaderOptions, dataLength: 0 });
+  
+  const raw = storage.createStreamingUpload({
+    key: `${audioPath}${sessionData.rawFilename}`,
+    contentType: RAW_CONTENT_TYPES[sessionData.format] || 'application/octet-stream',
+    metadata,
+    tagging
+  }, {
+    partSize,
+    maxQueuedParts: config.upload.maxQueuedParts,
+    spillPath: path.join(config.recordingsDir, `${sessionData.rawFilename}.spill`)
+  });
+  
+  // The WAV header is rewritten with the real data size once the call ends
+  const wav = storage.createStreamingUpload({
+    key: `${audioPath}${wavFilename}`,
+    contentType: 'audio/wav',
+    metadata: {
+      ...metadata,
+      'converted': 'true',
+      'original-file': sessionData.rawFilename
+    },
+    tagging
+  }, {
+    partSize,
+    maxQueuedParts: config.upload.maxQueuedParts,
+    spillPath: path.join(config.recordingsDir, `${wavFilename}.spill`),
+    finalizeFirstPart: (firstPart, totalBytes) => {
+      buildWavHeader({ ...wavHeaderOptions, dataLength: totalBytes - wavHeader.length }).copy(firstPart, 0);
+      return firstPart;
+    }
+  });
+  
+  wav.write(wavHeader);
+  
+  sessionData.streamingUploads = { raw, wav };
+  sessionData.wavFilename = wavFilename;
+  sessionData.log.info('Streaming recording', { location: storage.location, path: audioPath });
+}
+
+// Complete the streaming uploads and record the audio stats they imply
+async function finishStreamingUploads(sessionData) {
+  const { raw, wav } = sessionData.streamingUploads;
+  sessionData.streamingUploads = null;
+  
+  const stopTimer = metrics.uploadSeconds.startTimer({ kind: 'stream' });
+  const [rawResult, wavResult] = await Promise.allSettled([raw.complete(), wav.complete()]);
+  const failure = [rawResult, wavResult].find(result => result.status === 'rejected');
+  if (failure) {
+    recordOutcome(sessionData, 'streamingUpload', 'failed', { error: failure.reason.message });
+    metrics.uploadFailures.inc({ kind: 'stream' });
+    throw failure.reason;
+  }
+  stopTimer();
+  metrics.uploadBytes.inc({ kind: 'stream' }, rawResult.value.bytes + wavResult.value.bytes);
+  
+  const bytesPerSecond = sessionData.sampleRate * sessionData.channels.length * getBytesPerSample(sessionData.format);
+  sessionData.audioStats = {
+    duration: rawResult.value.bytes / bytesPerSecond,
+    channels: sessionData.channels.length,
+    sampleRate: sessionData.sampleRate,
+    bitsPerSample: 16
+  };
+  sessionData.streamed = true;
+  recordOutcome(sessionData, 'streamingUpload', 'succeeded', {
+    keys: [rawResult.value.key, wavResult.value.key],
+    bytes: rawResult.value.bytes,
+    parts: rawResult.value.parts + wavResult.value.parts
+  });
+  
+  sessionData.log.info('Streamed recording', {
+    keys: [rawResult.value.key, wavResult.value.key],
+    parts: rawResult.value.parts + wavResult.value.parts
+  });
+  
+  // The local copy was only kept in case the streamed upload failed
+  if (!config.upload.keepLocalCopy && sessionData.rawFilePath) {
+    try {
+      fs.unlinkSync(sessionData.rawFilePath);
+      sessionData.log.debug('Deleted local raw recording file', { file: sessionData.rawFilePath });
+    } catch (error) {
+      sessionData.log.error('Error deleting local raw recording file', { error });
+    }
+    sessionData.rawFilePath = null;
+  }
+}
+
+// Store one object, recording upload latency, size and failures by kind (raw, wav, channel, manifest)
+async function putStorageObject(storage, kind, object) {
+  const bytes = object.filePath ? fs.statSync(object.filePath).size : Buffer.byteLength(object.body);
+  const stopTimer = metrics.uploadSeconds.startTimer({ kind });
+  
+  try {
+    const key = await storage.putObject(object);
+    stopTimer();
+    metrics.uploadBytes.inc({ kind }, bytes);
+    return key;
+  } catch (error) {
+    metrics.uploadFailures.inc({ kind });
+    throw error;
+  }
+}
+
+// File access for a session's local files, encrypting them at rest when it has a data key
+function getFileIo(sessionData) {
+  return sessionData.encryption ? createEncryptedFileIo(sessionData.encryption.key) : plainFileIo;
+}
+
+// Encrypt an object for upload when the session has a data key
+// Local files are already encrypted; the wrapped key and IV go into the object metadata.
+function encryptObject(sessionData, object) {
+  if (!sessionData.encryption) {
+    return object;
+  }
+  
+  let { body } = object;
+  let iv;
+  if (object.filePath) {
+    iv = readEncryptedFileIv(object.filePath);
+  } else {
+    ({ iv, body } = encryptBuffer(sessionData.encryption.key, object.body));
+  }
+  
+  return {
+    ...object,
+    body,
+    contentType: 'application/octet-stream',
+    metadata: {
+      ...object.metadata,
+      ...buildEncryptionMetadata(sessionData.encryption, iv, object.contentType)
+    }
+  };
+}
+
+// Upload the recording to the tenant's storage backend
+async function uploadRecording(sessionData) {
+  const storage = getStorage(sessionData.tenant);
+  sessionData.log.info('Uploading recording', { file: sessionData.rawFilename, location: storage.location });
+
+  const { conversationPath, audioPath } = getStoragePaths(sessionData);
+  const tagging = getRetentionTagging(sessionData.tenant);
+  const keys = [];
+  
+  try {
+    const metadata = buildRecordingMetadata(sessionData);
+    
+    // Raw and WAV files have already been sent if the call was streamed
+    if (!sessionData.streamed) {
+      const rawKey = await putStorageObject(storage, 'raw', encryptObject(sessionData, {
+        key: `${audioPath}${sessionData.rawFilename}`,
+        filePath: sessionData.rawFilePath,
+        contentType: RAW_CONTENT_TYPES[sessionData.audioFormat.format] || 'application/octet-stream',
+        metadata,
+        tagging
+      }));
+      keys.push(rawKey);
+      sessionData.log.info('Uploaded raw recording', { key: rawKey });
+      
+      // Upload WAV file if it exists
+      if (sessionData.wavFilePath && fs.existsSync(sessionData.wavFilePath)) {
+        const wavKey = await putStorageObject(storage, 'wav', encryptObject(sessionData, {
+          key: `${audioPath}${sessionData.wavFilename}`,
+          filePath: sessionData.wavFilePath,
+          contentType: 'audio/wav',
+          metadata: {
+            ...metadata,
+            'converted': 'true',
+            'original-file': sessionData.rawFilename
+          },
+          tagging
+        }));
+        keys.push(wavKey);
+        sessionData.log.info('Uploaded WAV recording', { key: wavKey });
+      }
+    }
+    
+    // Upload per-channel WAV files next to the audio folder
+    for (const channelFile of sessionData.channelFiles || []) {
+      if (!fs.existsSync(channelFile.filePath)) {
+        continue;
+      }
+      
+      const channelKey = await putStorageObject(storage, 'channel', encryptObject(sessionData, {
+        key: `${conversationPath}channels/${channelFile.filename}`,
+        filePath: channelFile.filePath,
+        contentType: 'audio/wav',
+        metadata: {
+          ...metadata,
+          'channels': channelFile.channel,
+          'channel': channelFile.channel,
+          'channel-index': sessionData.channels.indexOf(channelFile.channel).toString(),
           'converted': 'true',
           'original-file': sessionData.rawFilename
-        }
-      });
-      
-      await s3Client.send(wavCommand);
-      console.log(`Successfully uploaded WAV recording to S3: ${s3WavKey}`);
+        },
+        tagging
+      }));
+      keys.push(channelKey);
+      sessionData.log.info('Uploaded channel recording', { channel: channelFile.channel, key: channelKey });
     }
     
-    return true;
+    return keys;
   } catch (error) {
-    console.error('Error uploading to S3:', error);
+    sessionData.log.error('Error uploading recording', { error });
     throw error;
   }
 }
 
+// Upload the session manifest to the conversation folder
+async function uploadManifest(sessionData) {
+  if (sessionData.isConnectionProbe) {
+    return;
+  }
+  
+  const storage = getStorage(sessionData.tenant);
+  const { conversationPath } = getStoragePaths(sessionData);
+  
+  try {
+    const manifestKey = await putStorageObject(storage, 'manifest', encryptObject(sessionData, {
+      key: `${conversationPath}${sessionData.rawFilename.replace('.raw', '')}${MANIFEST_SUFFIX}`,
+      body: JSON.stringify(buildManifest(sessionData), null, 2),
+      contentType: 'application/json',
+      tagging: getRetentionTagging(sessionData.tenant)
+    }));
+    sessionData.log.info('Uploaded session manifest', { key: manifestKey });
+  } catch (error) {
+    sessionData.log.error('Error uploading session manifest', { error });
+  }
+}
+
 // Clean up session resources
 async function cleanupSession(sessionData) {
-  console.log(`Cleaning up session ${sessionData.id}`);
+  sessionData.log.debug('Cleaning up session');
   
   // Close file stream if it exists
   if (sessionData.fileStream) {
@@ -635,23 +1622,75 @@ async function cleanupSession(sessionData) {
       });
       sessionData.fileStream = null;
     } catch (error) {
-      console.error(`Error closing file stream: ${error.message}`);
+      sessionData.log.error('Error closing file stream', { error });
+    }
+  }
+  
+  // Release any transcription streams left open by an abrupt disconnect
+  await stopTranscription(sessionData);
+  
+  // Don't lose a streamed recording when the socket drops without a close message
+  if (sessionData.streamingUploads) {
+    try {
+      await finishStreamingUploads(sessionData);
+    } catch (error) {
+      sessionData.log.error('Error completing streaming upload', { error });
+    }
+  }
+  
+  // A socket that dropped without a close message leaves the recording unfinished; upload it now
+  // rather than waiting for recovery on the next start, which is only for process crashes
+  if (!sessionData.finalized && !sessionData.isConnectionProbe &&
+      sessionData.state !== SessionState.CLOSING && sessionData.state !== SessionState.CLOSED &&
+      (sessionData.streamed || (sessionData.rawFilePath && fs.existsSync(sessionData.rawFilePath)))) {
+    sessionData.log.warn('Connection closed without a close message, finalizing recording');
+    sessionData.endTime = sessionData.endTime || new Date();
+    try {
+      await finalizeRecording(sessionData);
+      if (sessionData.uploaded) {
+        await uploadManifest(sessionData);
+      } else {
+        updateJournal(sessionData);
+      }
+    } catch (error) {
+      sessionData.log.error('Error finalizing recording', { error });
     }
   }
   
-  // Delete the local files after successful S3 upload (optional)
+  // Nothing more is journaled for this connection; a later retry opens the journal again
+  await closeJournal(sessionData);
+  
+  // Keep the raw file and journal of a recording that never reached storage so it is recovered on restart
+  if (!sessionData.isConnectionProbe && !sessionData.uploaded &&
+      sessionData.rawFilePath && fs.existsSync(sessionData.rawFilePath)) {
+    sessionData.log.warn('Recording was not uploaded, keeping it for recovery', { file: sessionData.rawFilename });
+    return;
+  }
+  
+  // Delete the local files after successful upload (optional)
   try {
+    if (sessionData.rawFilename) {
+      removeJournal(config.recordingsDir, sessionData.rawFilename);
+    }
+    
     if (sessionData.rawFilePath && fs.existsSync(sessionData.rawFilePath)) {
       fs.unlinkSync(sessionData.rawFilePath);
-      console.log(`Deleted local raw recording file: ${sessionData.rawFilePath}`);
+      sessionData.log.debug('Deleted local raw recording file', { file: sessionData.rawFilePath });
     }
     
     if (sessionData.wavFilePath && fs.existsSync(sessionData.wavFilePath)) {
       fs.unlinkSync(sessionData.wavFilePath);
-      console.log(`Deleted local WAV recording file: ${sessionData.wavFilePath}`);
+      sessionData.log.debug('Deleted local WAV recording file', { file: sessionData.wavFilePath });
+    }
+    
+    for (const channelFile of sessionData.channelFiles || []) {
+      if (fs.existsSync(channelFile.filePath)) {
+        fs.unlinkSync(channelFile.filePath);
+        sessionData.log.debug('Deleted local channel recording file', { file: channelFile.filePath });
+      }
     }
   } catch (error) {
-    console.error(`Error deleting local recording files: ${error.message}`);
+    sessionData.log.error('Error deleting local recording files', { error });
   }
 }
 
@@ -667,7 +1706,8 @@ function sendClosedResponse(ws, sessionData, message) {
   };
   
   ws.send(JSON.stringify(response));
-  console.log(`Sent closed response, seq=${response.seq}`);
+  recordTimelineEvent(sessionData, 'server', response);
+  sessionData.log.debug('Sent closed response', { seq: response.seq });
 }
 
 // Send pong response
@@ -682,6 +1722,29 @@ function sendPongResponse(ws, sessionData, message) {
   };
   
   ws.send(JSON.stringify(response));
+  recordTimelineEvent(sessionData, 'server', response);
+}
+
+// Send event message carrying entities such as transcripts
+function sendEventMessage(ws, sessionData, entities) {
+  // Events are only valid until the session is closed
+  if (ws.readyState !== ws.OPEN || sessionData.state === SessionState.CLOSED) {
+    return;
+  }
+  
+  const response = {
+    version: '2',
+    type: 'event',
+    seq: ++sessionData.serverSeq,
+    clientseq: sessionData.clientSeq,
+    id: sessionData.id,
+    parameters: {
+      entities
+    }
+  };
+  
+  ws.send(JSON.stringify(response));
+  recordTimelineEvent(sessionData, 'server', response);
 }
 
 // Send disconnect message
@@ -699,7 +1762,43 @@ function sendDisconnectMessage(ws, sessionData, reason, info) {
   };
   
   ws.send(JSON.stringify(response));
-  console.log(`Sent disconnect message, reason=${reason}, seq=${response.seq}`);
+  recordTimelineEvent(sessionData, 'server', response);
+  sessionData.disconnectSent = true;
+  sessionData.log.info('Sent disconnect message', { reason, seq: response.seq });
+}
+
+// Send pause message, returning its sequence number
+function sendPauseMessage(ws, sessionData) {
+  const response = {
+    version: '2',
+    type: 'pause',
+    seq: ++sessionData.serverSeq,
+    clientseq: sessionData.clientSeq,
+    id: sessionData.id,
+    parameters: {}
+  };
+  
+  ws.send(JSON.stringify(response));
+  recordTimelineEvent(sessionData, 'server', response);
+  sessionData.log.info('Sent pause message', { reason: sessionData.serverPause ? sessionData.serverPause.reason : null, seq: response.seq });
+  return response.seq;
+}
+
+// Send resume message, returning its sequence number
+function sendResumeMessage(ws, sessionData) {
+  const response = {
+    version: '2',
+    type: 'resume',
+    seq: ++sessionData.serverSeq,
+    clientseq: sessionData.clientSeq,
+    id: sessionData.id,
+    parameters: {}
+  };
+  
+  ws.send(JSON.stringify(response));
+  recordTimelineEvent(sessionData, 'server', response);
+  sessionData.log.info('Sent resume message', { seq: response.seq });
+  return response.seq;
 }
 
 // Send error message
@@ -717,18 +1816,43 @@ function sendErrorMessage(ws, sessionData, code, message) {
   };
   
   ws.send(JSON.stringify(response));
-  console.log(`Sent error message, code=${code}, seq=${response.seq}`);
+  recordTimelineEvent(sessionData, 'server', response);
+  metrics.protocolErrors.inc({ code, source: 'server' });
+  sessionData.log.info('Sent error message', { code, seq: response.seq });
 }
 
 // Simple health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'ok',
+  const capacity = describeCapacity(config.limits, {
+    activeSessions: activeSessions.size,
+    freeDiskBytes: getFreeDiskBytes()
+  });
+  
+  // Report 503 while draining or low on disk so the load balancer takes this node out of rotation;
+  // a node at its session limit stays healthy and autoscalers read capacity instead
+  let status = 'ok';
+  if (isDraining) {
+    status = 'draining';
+  } else if (capacity.lowDisk) {
+    status = 'low_disk';
+  } else if (capacity.availableSessions === 0) {
+    status = 'at_capacity';
+  }
+  
+  res.status(status === 'draining' || status === 'low_disk' ? 503 : 200).json({
+    status,
     activeSessions: activeSessions.size,
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    ...capacity
   });
 });
 
+// Prometheus metrics endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.status(200).send(renderMetrics());
+});
+
 // Statistics endpoint
 app.get('/stats', (req, res) => {
   // Convert the activeSessions Map to an array of session details
@@ -748,7 +1872,307 @@ app.get('/stats', (req, res) => {
   });
 });
 
+// Whether a session has been opened and not yet closed
+function isLiveSession(sessionData) {
+  return sessionData.state === SessionState.OPEN || sessionData.state === SessionState.PAUSED;
+}
+
+// Find the live sessions of a conversation, optionally only the one of a participant
+function findConversationSessions(conversationId, participantId) {
+  return Array.from(activeSessions.values()).filter(session =>
+    isLiveSession(session) &&
+    session.conversationId === conversationId &&
+    (!participantId || (session.participant && session.participant.id === participantId)));
+}
+
+// Whether a request URL is a listen-in path
+function isListenPath(url) {
+  return new URL(url, 'http://localhost').pathname.startsWith('/listen/');
+}
+
+// Authenticate a listen-in request and find the session and channel it asks for
+function resolveListenRequest(req) {
+  if (!isAuthorized(req.headers.authorization, config.listen.token)) {
+    return { status: 401, error: 'Unauthorized' };
+  }
+  
+  const url = new URL(req.url, 'http://localhost');
+  const conversationId = decodeURIComponent(url.pathname.slice('/listen/'.length));
+  const participantId = url.searchParams.get('participantId');
+  const channel = url.searchParams.get('channel') || 'mixed';
+  if (!LISTEN_CHANNELS.includes(channel)) {
+    return { status: 400, error: `Channel must be one of: ${LISTEN_CHANNELS.join(', ')}` };
+  }
+  
+  const [sessionData] = findConversationSessions(conversationId, participantId);
+  if (!sessionData) {
+    return { status: 404, error: 'No open session for this conversation' };
+  }
+  
+  const indexes = resolveChannelIndexes(sessionData.channels, channel);
+  if (!indexes) {
+    return { status: 400, error: `Session has no ${channel} channel` };
+  }
+  
+  return { sessionData, channel, indexes };
+}
+
+// Add a listener to a session and remove it again when its stream ends
+function attachListener(sessionData, createListener, target, channel, indexes) {
+  const listener = createListener(target, {
+    channel,
+    indexes,
+    sampleRate: sessionData.sampleRate,
+    maxBufferedBytes: config.listen.maxBufferedBytes,
+    onDrop: (bytes) => metrics.listenDroppedBytes.inc({ transport: listener.transport }, bytes),
+    onClose: () => {
+      sessionData.listeners.delete(listener);
+      sessionData.log.info('Supervisor stopped listening', {
+        listenerId: listener.id,
+        sentBytes: listener.sentBytes,
+        droppedBytes: listener.droppedBytes
+      });
+    }
+  });
+  
+  sessionData.listeners.add(listener);
+  sessionData.log.info('Supervisor started listening', { listenerId: listener.id, channel, transport: listener.transport });
+  return listener;
+}
+
+// Supervisor listen-in, only served when a token is configured
+if (config.listen.token) {
+  // Live audio as one chunked mono PCM16 WAV
+  app.get('/listen/:conversationId', (req, res) => {
+    const request = resolveListenRequest(req);
+    if (request.error) {
+      res.status(request.status).json({ error: request.error });
+      return;
+    }
+    
+    attachListener(request.sessionData, createHttpListener, res, request.channel, request.indexes);
+  });
+  
+  // Live audio as one mono PCM16 WAV per binary message
+  listenWss.on('connection', (ws, req) => {
+    const { sessionData, channel, indexes } = req.listen;
+    
+    // The session may have ended during the handshake
+    if (!isLiveSession(sessionData)) {
+      ws.close(1000, 'Session ended');
+      return;
+    }
+    
+    attachListener(sessionData, createWebSocketListener, ws, channel, indexes);
+    ws.on('error', (error) => {
+      sessionData.log.warn('Listen-in WebSocket error', { error });
+    });
+  });
+}
+
+// Pause API for the IVR and agent desktop, only served when a token is configured
+if (config.pauseControl.token) {
+  app.use('/control', createPauseControlRouter({
+    token: config.pauseControl.token,
+    findSessions: findConversationSessions,
+    pauseSession: requestServerPause,
+    resumeSession: requestServerResume
+  }));
+}
+
+// Admin API for on-call engineers, only served when a token is configured
+if (config.admin.token) {
+  app.use('/admin', createAdminRouter({
+    token: config.admin.token,
+    activeSessions,
+    completedSessions,
+    disconnectSession: (sessionData, reason, info) => {
+      sessionData.log.info('Disconnecting session on administrator request', { reason });
+      sendDisconnectMessage(sessionData.ws, sessionData, reason, info);
+    },
+    retrySession: retryRecording
+  }));
+}
+
+// Convert and upload a completed session's recording again after a failure
+async function retryRecording(sessionData) {
+  if (!sessionData.rawFilePath || !fs.existsSync(sessionData.rawFilePath)) {
+    throw new Error('The local raw recording is no longer available');
+  }
+  
+  sessionData.retrying = true;
+  try {
+    sessionData.log.info('Retrying conversion and upload');
+    await finalizeRecording(sessionData);
+    if (sessionData.uploaded) {
+      await uploadManifest(sessionData);
+      await cleanupSession(sessionData);
+    }
+  } finally {
+    sessionData.retrying = false;
+  }
+}
+
+// Delete multipart spill files left behind by a previous process; its uploads can't be
+// resumed, so journaled recordings are uploaded again from their raw audio instead
+async function removeOrphanedSpillFiles() {
+  const names = await fs.promises.readdir(config.recordingsDir);
+  for (const name of names.filter(name => name.endsWith('.spill'))) {
+    try {
+      await fs.promises.unlink(path.join(config.recordingsDir, name));
+      logger.info('Deleted orphaned multipart spill file', { file: name });
+    } catch (error) {
+      logger.error('Error deleting orphaned multipart spill file', { file: name, error });
+    }
+  }
+}
+
+// Finalize and upload recordings left behind by a previous process
+async function recoverOrphanedRecordings() {
+  await removeOrphanedSpillFiles();
+  
+  const entries = await listJournals(config.recordingsDir);
+  if (entries.length > 0) {
+    logger.info('Found unfinished recordings to recover', { count: entries.length });
+  }
+  
+  for (const entry of entries) {
+    if (entry.error) {
+      logger.error('Skipping unreadable journal', { journal: entry.journalPath, error: entry.error });
+      continue;
+    }
+    
+    const { journal } = entry;
+    const rawFilePath = path.join(config.recordingsDir, journal.rawFilename);
+    
+    if (!fs.existsSync(rawFilePath)) {
+      logger.warn('No raw audio for journal, discarding it', { journal: entry.journalPath });
+      removeJournal(config.recordingsDir, journal.rawFilename);
+      continue;
+    }
+    
+    // Rebuild enough session state to run the normal finalize path
+    const tenant = tenantRegistry.resolve(journal.tenantId);
+    if (!tenant) {
+      logger.error('Cannot recover recording: tenant is no longer configured', { file: journal.rawFilename, tenantId: journal.tenantId });
+      continue;
+    }
+    
+    // Unwrap the data key of an encrypted recording
+    let encryption = null;
+    if (journal.encryption) {
+      if (!keyProvider) {
+        logger.error('Cannot recover encrypted recording: encryption is not configured', { file: journal.rawFilename });
+        continue;
+      }
+      try {
+        const key = await keyProvider.decryptDataKey(journal.encryption.wrappedKey, journal.encryption.keyId);
+        encryption = { ...journal.encryption, key };
+      } catch (error) {
+        logger.error('Cannot recover encrypted recording: unable to unwrap its data key', { file: journal.rawFilename, error });
+        continue;
+      }
+    }
+    
+    const sessionData = {
+      id: journal.sessionId,
+      tenant,
+      organizationId: journal.organizationId,
+      correlationId: journal.correlationId,
+      conversationId: journal.conversationId,
+      participant: journal.participant,
+      language: journal.language,
+      initialLanguage: journal.initialLanguage || journal.language,
+      languageChanges: journal.languageChanges || [],
+      transcriptionOptions: journal.transcriptionOptions || null,
+      offeredMedia: journal.offeredMedia || null,
+      audioFormat: journal.media,
+      channels: journal.media.channels,
+      sampleRate: journal.media.rate,
+      format: journal.media.format,
+      rawFilename: journal.rawFilename,
+      rawFilePath,
+      startTime: new Date(journal.startTime),
+      bytesReceived: await (encryption ? createEncryptedFileIo(encryption.key) : plainFileIo).size(rawFilePath),
+      encryption,
+      pauseSegments: journal.pauseSegments || [],
+      discardedSegments: journal.discardedSegments || [],
+      gapFillBytes: journal.gapFillBytes || 0,
+      timeline: journal.timeline || [],
+      outcomes: {},
+      recovered: true
+    };
+    sessionData.log = createSessionLogger(sessionData);
+    
+    sessionData.log.info('Recovering recording', { file: journal.rawFilename });
+    
+    try {
+      await finalizeRecording(sessionData);
+      if (sessionData.uploaded) {
+        await uploadManifest(sessionData);
+      }
+      await cleanupSession(sessionData);
+      rememberCompletedSession(sessionData);
+    } catch (error) {
+      sessionData.log.error('Error recovering recording', { file: journal.rawFilename, error });
+    }
+  }
+}
+
+// Drain active sessions and exit: ask Genesys to reconnect elsewhere, then wait
+// for each session to close, convert and upload before stopping
+async function shutdown(signal) {
+  if (isDraining) {
+    logger.warn('Received signal again, exiting immediately', { signal });
+    process.exit(1);
+  }
+  
+  isDraining = true;
+  logger.info('Draining active sessions', { signal, sessions: activeSessions.size });
+  
+  for (const sessionData of activeSessions.values()) {
+    try {
+      if (sessionData.ws.readyState === sessionData.ws.OPEN) {
+        sendDisconnectMessage(sessionData.ws, sessionData, 'reconnect', 'Server is shutting down');
+      }
+    } catch (error) {
+      sessionData.log.error('Error sending reconnect', { error });
+    }
+  }
+  
+  const deadline = Date.now() + config.shutdownTimeoutMs;
+  while (activeSessions.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  
+  // Let a startup recovery that is still running finish its upload
+  await Promise.race([
+    recoveryTask,
+    new Promise(resolve => setTimeout(resolve, Math.max(0, deadline - Date.now())))
+  ]);
+  
+  if (activeSessions.size > 0) {
+    logger.warn('Shutdown timeout reached; remaining recordings will be recovered on restart', { sessions: activeSessions.size });
+  } else {
+    logger.info('All sessions drained');
+  }
+  
+  wss.close();
+  server.close();
+  process.exit(activeSessions.size > 0 ? 1 : 0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Startup recovery, tracked so a shutdown can wait for it
+let recoveryTask = Promise.resolve();
+
 // Start the server
 server.listen(config.port, () => {
-  console.log(`Genesys AudioHook Recorder server listening on port ${config.port}`);
+  logger.info('Genesys AudioHook Recorder server listening', { port: config.port });
+  
+  recoveryTask = recoverOrphanedRecordings().catch(error => {
+    logger.error('Error recovering orphaned recordings', { error });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,165 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Bump when the journal layout changes incompatibly
+const JOURNAL_VERSION = 2;
+const JOURNAL_SUFFIX = '.journal.json';
+
+// Session fields that only grow; each journal line carries just the items added since the previous one
+const APPENDED_FIELDS = ['languageChanges', 'pauseSegments', 'discardedSegments', 'timeline'];
+
+/**
+ * Get the journal path that belongs to a raw recording file
+ * @param {string} recordingsDir Directory holding the recordings
+ * @param {string} rawFilename Raw recording filename
+ * @returns {string} Journal file path
+ */
+export const getJournalPath = (recordingsDir, rawFilename) => {
+  return path.join(recordingsDir, rawFilename.replace(/\.raw$/, JOURNAL_SUFFIX));
+}
+
+/**
+ * Open the journal of a recording session
+ * The journal is a JSON Lines file: the session as it was when the journal was opened, followed by
+ * one line per update holding only what changed, so updates never rewrite the file.
+ * An existing journal (e.g. of a recovered session) is replaced.
+ * @param {string} recordingsDir Directory holding the recordings
+ * @param {object} sessionData Session state
+ * @returns {object} Journal with update() and close()
+ */
+export const openJournal = (recordingsDir, sessionData) => {
+  const journalPath = getJournalPath(recordingsDir, sessionData.rawFilename);
+  const stream = fs.createWriteStream(journalPath);
+  const journaledCounts = {};
+
+  stream.on('error', error => {
+    sessionData.log.error('Error writing session journal', { journal: journalPath, error });
+  });
+
+  // State that changes during the session, with the growing fields cut down to their new items
+  const takeChanges = () => {
+    const changes = {
+      language: sessionData.language,
+      gapFillBytes: sessionData.gapFillBytes,
+      updatedAt: new Date().toISOString()
+    };
+    for (const field of APPENDED_FIELDS) {
+      const items = sessionData[field] || [];
+      const added = items.slice(journaledCounts[field] || 0);
+      journaledCounts[field] = items.length;
+      if (added.length > 0) {
+        changes[field] = added;
+      }
+    }
+    return changes;
+  };
+
+  const writeLine = (entry) => stream.write(`${JSON.stringify(entry)}\n`);
+
+  writeLine({
+    version: JOURNAL_VERSION,
+    sessionId: sessionData.id,
+    tenantId: sessionData.tenant.id,
+    organizationId: sessionData.organizationId,
+    correlationId: sessionData.correlationId,
+    conversationId: sessionData.conversationId,
+    participant: sessionData.participant,
+    initialLanguage: sessionData.initialLanguage,
+    transcriptionOptions: sessionData.transcriptionOptions || null,
+    offeredMedia: sessionData.offeredMedia,
+    media: sessionData.audioFormat,
+    rawFilename: sessionData.rawFilename,
+    startTime: sessionData.startTime.toISOString(),
+    // Only the wrapped data key; the master key is needed to read the recording
+    encryption: sessionData.encryption ? { wrappedKey: sessionData.encryption.wrappedKey, keyId: sessionData.encryption.keyId } : null,
+    ...takeChanges()
+  });
+
+  return {
+    /**
+     * Append the changes since the previous line
+     */
+    update() {
+      writeLine(takeChanges());
+    },
+
+    /**
+     * Flush and close the journal file
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise(resolve => stream.end(resolve));
+    }
+  };
+}
+
+/**
+ * Rebuild the session state stored in a journal
+ * @param {string} content Journal file content
+ * @returns {object} Journal entries merged into one object
+ */
+const replayJournal = (content) => {
+  const lines = content.split('\n').filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error('Journal is empty');
+  }
+
+  const journal = JSON.parse(lines[0]);
+  if (journal.version !== JOURNAL_VERSION) {
+    throw new Error(`Unsupported journal version: ${journal.version}`);
+  }
+
+  for (let i = 1; i < lines.length; i++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (error) {
+      // A crash can cut the last line short; everything before it still holds
+      if (i === lines.length - 1) {
+        break;
+      }
+      throw error;
+    }
+
+    for (const [field, value] of Object.entries(entry)) {
+      journal[field] = APPENDED_FIELDS.includes(field) ? (journal[field] || []).concat(value) : value;
+    }
+  }
+
+  return journal;
+}
+
+/**
+ * Delete the journal for a recording session, if there is one
+ * @param {string} recordingsDir Directory holding the recordings
+ * @param {string} rawFilename Raw recording filename
+ */
+export const removeJournal = (recordingsDir, rawFilename) => {
+  const journalPath = getJournalPath(recordingsDir, rawFilename);
+  if (fs.existsSync(journalPath)) {
+    fs.unlinkSync(journalPath);
+  }
+}
+
+/**
+ * Read every journal left in the recordings directory
+ * Unreadable or incompatible journals are reported with an error instead of being skipped silently.
+ * @param {string} recordingsDir Directory holding the recordings
+ * @returns {Promise<Array<object>>} Entries of { journalPath, journal } or { journalPath, error }
+ */
+export const listJournals = async (recordingsDir) => {
+  const entries = [];
+  const filenames = await fs.promises.readdir(recordingsDir);
+
+  for (const filename of filenames.filter(name => name.endsWith(JOURNAL_SUFFIX))) {
+    const journalPath = path.join(recordingsDir, filename);
+    try {
+      const journal = replayJournal(await fs.promises.readFile(journalPath, 'utf8'));
+      entries.push({ journalPath, journal });
+    } catch (error) {
+      entries.push({ journalPath, error });
+    }
+  }
+
+  return entries;
+}
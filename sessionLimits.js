@@ -0,0 +1,129 @@
+import * as fs from 'fs';
+import { ProtocolErrorCode } from './protocolState.js';
+import { logger } from './logger.js';
+
+// How long a free disk space reading is reused before the filesystem is asked again
+const DISK_CHECK_INTERVAL_MS = 5000;
+
+/**
+ * Read the free disk space of a directory, re-reading at most every few seconds
+ * since audio frames arrive far more often than the space changes
+ * @param {string} dir Directory on the filesystem to watch
+ * @returns {Function} Returns the free bytes available to this process, or null if unknown
+ */
+export const createDiskMonitor = (dir) => {
+  let freeBytes = null;
+  let checkedAt = 0;
+  let warned = false;
+
+  // fs.statfsSync only exists from Node 18.15; older versions report no reading and skip the disk limit
+  if (typeof fs.statfsSync !== 'function') {
+    logger.warn('Free disk space is not available on this Node.js version, the disk limit is not enforced', { node: process.version });
+    return () => null;
+  }
+
+  return () => {
+    const now = Date.now();
+    if (now - checkedAt >= DISK_CHECK_INTERVAL_MS) {
+      checkedAt = now;
+      try {
+        const stats = fs.statfsSync(dir);
+        freeBytes = stats.bavail * stats.bsize;
+      } catch (error) {
+        freeBytes = null;
+        // Warn once rather than on every check; the disk limit isn't enforced while this fails
+        if (!warned) {
+          warned = true;
+          logger.warn('Cannot read free disk space, the disk limit is not enforced', { dir, error });
+        }
+      }
+    }
+    return freeBytes;
+  };
+}
+
+/**
+ * Count the sessions of an organization
+ * @param {Iterable<object>} sessions Active sessions
+ * @param {string} organizationId Organization id
+ * @returns {number} Number of sessions
+ */
+export const countOrganizationSessions = (sessions, organizationId) => {
+  const orgId = String(organizationId).toLowerCase();
+  let count = 0;
+  for (const sessionData of sessions) {
+    if (String(sessionData.organizationId).toLowerCase() === orgId) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Decide whether a new session may connect
+ * Limits of 0 are not enforced.
+ * @param {object} limits Configured limits
+ * @param {object} usage Current usage
+ * @param {Map} usage.activeSessions Active sessions by session id
+ * @param {string} usage.organizationId Organization of the new session
+ * @param {number|null} usage.freeDiskBytes Free space in the recordings directory
+ * @returns {object|null} Rejection with reason, HTTP status and message, or null to admit the session
+ */
+export const checkAdmission = (limits, { activeSessions, organizationId, freeDiskBytes }) => {
+  if (limits.maxSessions > 0 && activeSessions.size >= limits.maxSessions) {
+    return { reason: 'session_limit', status: 503, message: 'Service Unavailable' };
+  }
+  if (limits.maxSessionsPerOrg > 0 &&
+      countOrganizationSessions(activeSessions.values(), organizationId) >= limits.maxSessionsPerOrg) {
+    return { reason: 'organization_session_limit', status: 429, message: 'Too Many Requests' };
+  }
+  if (limits.minFreeDiskMB > 0 && freeDiskBytes !== null && freeDiskBytes < limits.minFreeDiskMB * 1024 * 1024) {
+    return { reason: 'low_disk', status: 503, message: 'Service Unavailable' };
+  }
+  return null;
+}
+
+/**
+ * Decide whether a live session may record another audio frame
+ * @param {object} limits Configured limits
+ * @param {object} sessionData Session state
+ * @param {number} frameBytes Size of the incoming frame
+ * @param {number|null} freeDiskBytes Free space in the recordings directory
+ * @returns {object|null} The exceeded limit with the error code and reason for the client, or null if the frame may be recorded
+ */
+export const checkSessionLimits = (limits, sessionData, frameBytes, freeDiskBytes) => {
+  if (limits.maxSessionSeconds > 0 && (Date.now() - sessionData.startTime.getTime()) / 1000 > limits.maxSessionSeconds) {
+    return { limit: 'duration', code: ProtocolErrorCode.PAYLOAD_TOO_LARGE, info: `Session exceeded the maximum duration of ${limits.maxSessionSeconds} seconds` };
+  }
+  if (limits.maxSessionMB > 0 && sessionData.bytesReceived + frameBytes > limits.maxSessionMB * 1024 * 1024) {
+    return { limit: 'size', code: ProtocolErrorCode.PAYLOAD_TOO_LARGE, info: `Session exceeded the maximum recording size of ${limits.maxSessionMB} MB` };
+  }
+  if (limits.minFreeDiskMB > 0 && freeDiskBytes !== null && freeDiskBytes < limits.minFreeDiskMB * 1024 * 1024) {
+    return { limit: 'disk', code: ProtocolErrorCode.SERVICE_UNAVAILABLE, info: 'Server is low on disk space' };
+  }
+  return null;
+}
+
+/**
+ * Summarize limits and usage for /health, so autoscalers can see how close the node is to full
+ * @param {object} limits Configured limits
+ * @param {object} usage Current usage
+ * @param {number} usage.activeSessions Number of active sessions
+ * @param {number|null} usage.freeDiskBytes Free space in the recordings directory
+ * @returns {object} Capacity summary; unenforced limits are null
+ */
+export const describeCapacity = (limits, { activeSessions, freeDiskBytes }) => {
+  const minFreeDiskBytes = limits.minFreeDiskMB > 0 ? limits.minFreeDiskMB * 1024 * 1024 : null;
+  return {
+    limits: {
+      maxSessions: limits.maxSessions || null,
+      maxSessionsPerOrg: limits.maxSessionsPerOrg || null,
+      maxSessionBytes: limits.maxSessionMB > 0 ? limits.maxSessionMB * 1024 * 1024 : null,
+      maxSessionSeconds: limits.maxSessionSeconds || null,
+      minFreeDiskBytes
+    },
+    availableSessions: limits.maxSessions > 0 ? Math.max(0, limits.maxSessions - activeSessions) : null,
+    freeDiskBytes,
+    lowDisk: minFreeDiskBytes !== null && freeDiskBytes !== null && freeDiskBytes < minFreeDiskBytes
+  };
+}
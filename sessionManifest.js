@@ -0,0 +1,102 @@
+// Bump when the manifest layout changes; consumers should check it before reading
+export const MANIFEST_VERSION = 1;
+// Appended to the recording id, so sessions sharing a conversation folder each keep their own manifest
+export const MANIFEST_SUFFIX = '.manifest.json';
+
+// Messages that change the session state; pings and events are left out so long calls keep a small timeline
+const TIMELINE_MESSAGE_TYPES = new Set([
+  'open', 'opened',
+  'pause', 'paused',
+  'resume', 'resumed',
+  'discarded', 'update',
+  'close', 'closed',
+  'disconnect', 'error'
+]);
+
+/**
+ * Append a state transition to the session timeline
+ * Other messages are only recorded when they were rejected as a protocol violation.
+ * @param {object} sessionData Session state
+ * @param {string} direction 'client' for messages from Genesys, 'server' for our own
+ * @param {object} message Protocol message
+ * @param {object} details Extra fields to store, such as a protocol violation (optional)
+ */
+export const recordTimelineEvent = (sessionData, direction, message, details = {}) => {
+  if (!TIMELINE_MESSAGE_TYPES.has(message.type) && !details.violation) {
+    return;
+  }
+
+  sessionData.timeline.push({
+    at: new Date().toISOString(),
+    direction,
+    type: message.type,
+    seq: message.seq,
+    ...(message.clientseq !== undefined ? { clientseq: message.clientseq } : {}),
+    ...(message.serverseq !== undefined ? { serverseq: message.serverseq } : {}),
+    ...(message.position !== undefined ? { position: message.position } : {}),
+    parameters: message.parameters || {},
+    ...details
+  });
+}
+
+/**
+ * Record the outcome of a processing step (conversion, upload, ...)
+ * @param {object} sessionData Session state
+ * @param {string} step Step name
+ * @param {string} status 'succeeded', 'failed' or 'skipped'
+ * @param {object} details Extra fields such as object keys or an error message (optional)
+ */
+export const recordOutcome = (sessionData, step, status, details = {}) => {
+  sessionData.outcomes[step] = {
+    status,
+    at: new Date().toISOString(),
+    ...details
+  };
+}
+
+/**
+ * Build the manifest describing everything known about a session
+ * @param {object} sessionData Session state
+ * @returns {object} Manifest
+ */
+export const buildManifest = (sessionData) => {
+  const participant = sessionData.participant || {};
+
+  return {
+    version: MANIFEST_VERSION,
+    sessionId: sessionData.id,
+    correlationId: sessionData.correlationId,
+    organizationId: sessionData.organizationId,
+    tenantId: sessionData.tenant.id,
+    conversationId: sessionData.conversationId,
+    participant: {
+      id: participant.id || null,
+      ani: participant.ani || null,
+      aniName: participant.aniName || null,
+      dnis: participant.dnis || null
+    },
+    language: {
+      initial: sessionData.initialLanguage || sessionData.language,
+      final: sessionData.language,
+      changes: sessionData.languageChanges || []
+    },
+    media: {
+      offered: sessionData.offeredMedia || null,
+      negotiated: sessionData.audioFormat
+    },
+    startTime: sessionData.startTime.toISOString(),
+    endTime: sessionData.endTime ? sessionData.endTime.toISOString() : null,
+    durationSeconds: sessionData.callDuration || null,
+    bytes: {
+      received: sessionData.bytesReceived,
+      gapFill: sessionData.gapFillBytes || 0
+    },
+    audioStats: sessionData.audioStats || null,
+    pauseSegments: sessionData.pauseSegments,
+    discardedSegments: sessionData.discardedSegments,
+    recovered: Boolean(sessionData.recovered),
+    timeline: sessionData.timeline || [],
+    outcomes: sessionData.outcomes || {},
+    generatedAt: new Date().toISOString()
+  };
+}
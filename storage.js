@@ -0,0 +1,190 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { createStreamingUpload } from './multipartUpload.js';
+
+// Suffix of the sidecar file holding an object's content type, metadata and tags
+const METADATA_SUFFIX = '.metadata.json';
+
+/**
+ * Render an object key template
+ * Placeholders are written as {name}; unknown placeholders are left untouched.
+ * @param {string} template Key template (e.g. '{org}/{yyyy}/{mm}/{conversationId}/{participantId}/')
+ * @param {object} values Placeholder values
+ * @returns {string} Rendered key
+ */
+export const renderKeyTemplate = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  ));
+}
+
+/**
+ * Storage backend writing to Amazon S3 or an S3-compatible service (e.g. MinIO)
+ * @param {object} options Backend options
+ * @param {string} options.bucket Bucket name
+ * @param {string} options.region Region
+ * @param {string} options.endpoint Custom endpoint URL for S3-compatible services (optional)
+ * @param {boolean} options.forcePathStyle Use path-style addressing (needed by most S3-compatible services)
+ * @returns {object} Storage backend
+ */
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle }) => {
+  const client = new S3Client({
+    region,
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle: Boolean(forcePathStyle)
+  });
+
+  return {
+    name: 's3',
+    location: `s3://${bucket}`,
+
+    async putObject({ key, body, filePath, contentType, metadata, tagging }) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: filePath ? fs.createReadStream(filePath) : body,
+        ...(filePath ? { ContentLength: (await fs.promises.stat(filePath)).size } : {}),
+        ContentType: contentType,
+        Metadata: metadata,
+        Tagging: tagging
+      }));
+      return key;
+    },
+
+    createStreamingUpload({ key, contentType, metadata, tagging }, options) {
+      return createStreamingUpload(client, {
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType,
+        Metadata: metadata,
+        Tagging: tagging
+      }, options);
+    }
+  };
+}
+
+/**
+ * Storage backend writing to a local or NFS-mounted directory
+ * Objects land in <root>/<bucket>/<key>, next to a sidecar file with their metadata.
+ * @param {object} options Backend options
+ * @param {string} options.root Root directory
+ * @param {string} options.bucket Bucket name, used as the first directory level
+ * @returns {object} Storage backend
+ */
+const createFilesystemStorage = ({ root, bucket }) => {
+  const baseDir = path.resolve(root, bucket);
+
+  const resolveKey = (key) => {
+    const target = path.resolve(baseDir, key);
+    if (!target.startsWith(baseDir + path.sep)) {
+      throw new Error(`Object key escapes the storage directory: ${key}`);
+    }
+    return target;
+  };
+
+  const writeMetadata = (target, { contentType, metadata, tagging }) => {
+    return fs.promises.writeFile(`${target}${METADATA_SUFFIX}`, JSON.stringify({
+      contentType,
+      metadata: metadata || {},
+      tagging: tagging || null
+    }, null, 2));
+  };
+
+  return {
+    name: 'filesystem',
+    location: baseDir,
+
+    async putObject({ key, body, filePath, ...details }) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      // Write under a temporary name so readers never see a partial object
+      const tempPath = `${target}.partial`;
+      if (filePath) {
+        await fs.promises.copyFile(filePath, tempPath);
+      } else {
+        await fs.promises.writeFile(tempPath, body);
+      }
+      await fs.promises.rename(tempPath, target);
+      await writeMetadata(target, details);
+      return key;
+    },
+
+    createStreamingUpload({ key, ...details }, options = {}) {
+      const target = resolveKey(key);
+      const tempPath = `${target}.partial`;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+
+      const stream = fs.createWriteStream(tempPath);
+      let failure = null;
+      let totalBytes = 0;
+      stream.on('error', (error) => {
+        failure = failure || error;
+      });
+
+      const closeStream = () => new Promise(resolve => stream.end(resolve));
+
+      return {
+        write(data) {
+          if (!failure) {
+            stream.write(data);
+            totalBytes += data.length;
+          }
+        },
+
+        async complete() {
+          await closeStream();
+          if (failure) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw failure;
+          }
+
+          // Give the caller a chance to rewrite leading bytes such as a WAV header
+          if (options.finalizeFirstPart && totalBytes > 0) {
+            const handle = await fs.promises.open(tempPath, 'r+');
+            try {
+              const head = Buffer.alloc(Math.min(totalBytes, 64 * 1024));
+              await handle.read(head, 0, head.length, 0);
+              await handle.write(options.finalizeFirstPart(head, totalBytes), 0, head.length, 0);
+            } finally {
+              await handle.close();
+            }
+          }
+
+          await fs.promises.rename(tempPath, target);
+          await writeMetadata(target, details);
+          return { key, bytes: totalBytes, parts: 1 };
+        },
+
+        async abort() {
+          await closeStream();
+          await fs.promises.rm(tempPath, { force: true });
+        }
+      };
+    }
+  };
+}
+
+// Available backends by name
+const BACKENDS = {
+  s3: createS3Storage,
+  filesystem: createFilesystemStorage
+};
+
+/**
+ * Create a storage backend
+ * Backends expose putObject({ key, body | filePath, contentType, metadata, tagging }) and
+ * createStreamingUpload({ key, contentType, metadata, tagging }, options), which returns a
+ * handle with write(), complete() and abort().
+ * @param {string} name Backend name ('s3' or 'filesystem')
+ * @param {object} options Backend specific options
+ * @returns {object} Storage backend
+ */
+export const createStorageBackend = (name, options) => {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,122 @@
+import * as fs from 'fs';
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Id of the single tenant used when no tenants file is configured
+export const DEFAULT_TENANT_ID = 'default';
+
+/**
+ * Normalize one tenant entry, filling storage settings from the defaults
+ * @param {string} id Tenant id (the Genesys organization id)
+ * @param {object} entry Raw tenant entry
+ * @param {object} defaults Fallback settings (s3 and storage)
+ * @returns {object} Tenant
+ */
+const normalizeTenant = (id, entry, defaults) => {
+  const apiKeys = Array.isArray(entry.apiKeys) ? entry.apiKeys : [entry.apiKey];
+  if (apiKeys.filter(Boolean).length === 0) {
+    throw new Error(`Tenant ${id} has no API keys`);
+  }
+
+  return {
+    id,
+    name: entry.name || id,
+    apiKeys: apiKeys.filter(Boolean),
+    clientSecret: entry.clientSecret || null,
+    s3: {
+      bucket: (entry.s3 && entry.s3.bucket) || defaults.s3.bucket,
+      keyPrefix: (entry.s3 && entry.s3.keyPrefix !== undefined) ? entry.s3.keyPrefix : defaults.s3.keyPrefix,
+      region: (entry.s3 && entry.s3.region) || defaults.s3.region,
+      endpoint: (entry.s3 && entry.s3.endpoint) || defaults.s3.endpoint,
+      forcePathStyle: (entry.s3 && entry.s3.forcePathStyle !== undefined) ? entry.s3.forcePathStyle : defaults.s3.forcePathStyle
+    },
+    storage: {
+      backend: (entry.storage && entry.storage.backend) || defaults.storage.backend,
+      keyTemplate: (entry.storage && entry.storage.keyTemplate) || defaults.storage.keyTemplate
+    },
+    retention: {
+      days: entry.retention && entry.retention.days ? parseInt(entry.retention.days, 10) : null
+    }
+  };
+}
+
+/**
+ * Load the tenant registry
+ * The tenants file is a JSON object keyed by Genesys organization id:
+ *   { "<org-id>": { "name", "apiKeys": [...], "clientSecret",
+ *                   "s3": { "bucket", "keyPrefix", "region", "endpoint", "forcePathStyle" },
+ *                   "storage": { "backend", "keyTemplate" }, "retention": { "days" } } }
+ * Without a file, a single default tenant built from the defaults accepts every organization.
+ * @param {string} filePath Path to the tenants file (optional)
+ * @param {object} defaults Default settings (apiKey, clientSecret, s3, storage)
+ * @returns {object} Registry with resolve(organizationId) and list()
+ */
+export const loadTenantRegistry = (filePath, defaults) => {
+  const tenants = new Map();
+
+  if (filePath) {
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [id, entry] of Object.entries(entries)) {
+      tenants.set(id.toLowerCase(), normalizeTenant(id, entry, defaults));
+    }
+  }
+
+  const fallback = filePath ? null : normalizeTenant(DEFAULT_TENANT_ID, defaults, defaults);
+
+  return {
+    multiTenant: Boolean(filePath),
+
+    /**
+     * Find the tenant for an organization id
+     * @param {string} organizationId Genesys organization id
+     * @returns {object|null} Tenant, or null if the organization is unknown
+     */
+    resolve(organizationId) {
+      if (fallback) {
+        return fallback;
+      }
+      return organizationId ? tenants.get(organizationId.toLowerCase()) || null : null;
+    },
+
+    /**
+     * List all configured tenants
+     * @returns {Array<object>} Tenants
+     */
+    list() {
+      return fallback ? [fallback] : Array.from(tenants.values());
+    }
+  };
+}
+
+/**
+ * Check an API key against all of a tenant's active keys in constant time
+ * Every key is compared, so timing reveals neither which key matched nor its length.
+ * @param {object} tenant Tenant
+ * @param {string} apiKey API key from the request
+ * @returns {boolean} True if the key matches one of the tenant's keys
+ */
+export const isValidApiKey = (tenant, apiKey) => {
+  if (typeof apiKey !== 'string') {
+    return false;
+  }
+
+  const candidate = createHash('sha256').update(apiKey).digest();
+  let matched = false;
+  for (const key of tenant.apiKeys) {
+    const expected = createHash('sha256').update(key).digest();
+    matched = timingSafeEqual(candidate, expected) || matched;
+  }
+  return matched;
+}
+
+/**
+ * Build the S3 object tagging string for a tenant's retention settings
+ * Bucket lifecycle rules can filter on the retention-days tag.
+ * @param {object} tenant Tenant
+ * @returns {string|undefined} URL-encoded tag set, or undefined if no retention is set
+ */
+export const getRetentionTagging = (tenant) => {
+  if (!tenant || !tenant.retention.days) {
+    return undefined;
+  }
+  return `retention-days=${tenant.retention.days}`;
+}
@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  decodeMulaw,
+  decodeAudio,
+  encodeMulawSample,
+  buildInfoChunk,
+  buildWavHeader,
+  convertRawToWav,
+  convertRawToChannelWavs,
+  getAudioStats
+} from '../audioUtils.js';
+
+// Reference values from the ITU-T G.711 μ-law decoding table
+const MULAW_REFERENCE = [
+  [0x00, -32124],
+  [0x01, -31100],
+  [0x0f, -16764],
+  [0x10, -15996],
+  [0x70, -120],
+  [0x7e, -8],
+  [0x7f, 0],
+  [0x80, 32124],
+  [0xfe, 8],
+  [0xff, 0]
+];
+
+const readSamples = (buffer) => {
+  const samples = [];
+  for (let i = 0; i + 1 < buffer.length; i += 2) {
+    samples.push(buffer.readInt16LE(i));
+  }
+  return samples;
+}
+
+// Locate a chunk in a RIFF/WAVE file and return its offset and declared size
+const findChunk = (wav, id) => {
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const size = wav.readUInt32LE(offset + 4);
+    if (wav.toString('ascii', offset, offset + 4) === id) {
+      return { offset, size };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+const withTempDir = async (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audioutils-test-'));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('decodes μ-law bytes to the G.711 reference samples', () => {
+  const input = Buffer.from(MULAW_REFERENCE.map(([code]) => code));
+  const output = decodeMulaw(input);
+
+  assert.equal(output.length, input.length * 2);
+  assert.deepEqual(readSamples(output), MULAW_REFERENCE.map(([, sample]) => sample));
+});
+
+test('μ-law encoding round-trips through decoding', () => {
+  for (const [code, sample] of MULAW_REFERENCE) {
+    // 0x7f and 0xff both decode to zero; the encoder picks the positive one
+    const expected = sample === 0 ? 0xff : code;
+    assert.equal(encodeMulawSample(sample), expected, `sample ${sample}`);
+  }
+});
+
+test('passes L16 audio through unchanged and rejects unknown formats', () => {
+  const pcm = Buffer.from([0x01, 0x00, 0xff, 0x7f, 0x00, 0x80]);
+  assert.equal(decodeAudio(pcm, 'L16'), pcm);
+  assert.throws(() => decodeAudio(pcm, 'OPUS'), /Unsupported audio format: OPUS/);
+});
+
+test('builds a LIST/INFO chunk padded to an even size', () => {
+  const chunk = buildInfoChunk(['external', 'internal']);
+  const comment = 'channel 1: external; channel 2: internal';
+
+  assert.equal(chunk.toString('ascii', 0, 4), 'LIST');
+  assert.equal(chunk.readUInt32LE(4), chunk.length - 8);
+  assert.equal(chunk.toString('ascii', 8, 12), 'INFO');
+  assert.equal(chunk.toString('ascii', 12, 16), 'ICMT');
+  assert.equal(chunk.readUInt32LE(16), comment.length + 1);
+  assert.equal(chunk.toString('ascii', 20, 20 + comment.length), comment);
+  assert.equal(chunk.length % 2, 0);
+
+  assert.equal(buildInfoChunk([]).length, 0);
+});
+
+test('builds a WAV header whose sizes match the data that follows', () => {
+  const dataLength = 3200;
+  const header = buildWavHeader({ channels: 2, sampleRate: 8000, dataLength, channelTypes: ['external', 'internal'] });
+  const wav = Buffer.concat([header, Buffer.alloc(dataLength)]);
+
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.readUInt32LE(4), wav.length - 8);
+  assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+
+  const fmt = findChunk(wav, 'fmt ');
+  assert.equal(fmt.size, 16);
+  assert.equal(wav.readUInt16LE(fmt.offset + 10), 2);
+  assert.equal(wav.readUInt32LE(fmt.offset + 12), 8000);
+  assert.equal(wav.readUInt32LE(fmt.offset + 16), 32000);
+  assert.equal(wav.readUInt16LE(fmt.offset + 20), 4);
+  assert.equal(wav.readUInt16LE(fmt.offset + 22), 16);
+
+  assert.ok(findChunk(wav, 'LIST'));
+
+  const data = findChunk(wav, 'data');
+  assert.equal(data.size, dataLength);
+  assert.equal(data.offset + 8, header.length);
+});
+
+test('converts raw μ-law to a finalized WAV file and drops a trailing partial frame', async () => {
+  await withTempDir(async (dir) => {
+    const rawPath = path.join(dir, 'call.raw');
+    const wavPath = path.join(dir, 'call.wav');
+    const frames = 800;
+    const raw = Buffer.alloc(frames * 2 + 1);
+    for (let i = 0; i < raw.length; i++) {
+      raw[i] = MULAW_REFERENCE[i % MULAW_REFERENCE.length][0];
+    }
+    fs.writeFileSync(rawPath, raw);
+
+    await convertRawToWav(rawPath, wavPath, 2, 8000, ['external', 'internal'], 'PCMU');
+
+    const wav = fs.readFileSync(wavPath);
+    const data = findChunk(wav, 'data');
+    assert.equal(wav.readUInt32LE(4), wav.length - 8);
+    assert.equal(data.size, frames * 2 * 2);
+    assert.equal(data.offset + 8 + data.size, wav.length);
+    assert.deepEqual(
+      wav.subarray(data.offset + 8),
+      decodeMulaw(raw.subarray(0, frames * 2))
+    );
+
+    const stats = await getAudioStats(wavPath);
+    assert.deepEqual(stats, { duration: 0.1, channels: 2, sampleRate: 8000, bitsPerSample: 16 });
+  });
+});
+
+test('splits interleaved audio into one labelled mono WAV file per channel', async () => {
+  await withTempDir(async (dir) => {
+    const rawPath = path.join(dir, 'call.raw');
+    const outputPaths = [path.join(dir, 'external.wav'), path.join(dir, 'internal.wav')];
+    const frames = 100;
+    const raw = Buffer.alloc(frames * 4);
+    for (let f = 0; f < frames; f++) {
+      raw.writeInt16LE(f, f * 4);
+      raw.writeInt16LE(-f, f * 4 + 2);
+    }
+    fs.writeFileSync(rawPath, raw);
+
+    await convertRawToChannelWavs(rawPath, outputPaths, 8000, ['external', 'internal'], 'L16');
+
+    const expected = [
+      Array.from({ length: frames }, (_, f) => f),
+      Array.from({ length: frames }, (_, f) => -f || 0)
+    ];
+    outputPaths.forEach((outputPath, c) => {
+      const wav = fs.readFileSync(outputPath);
+      const data = findChunk(wav, 'data');
+      const info = findChunk(wav, 'LIST');
+
+      assert.equal(wav.readUInt32LE(4), wav.length - 8);
+      assert.equal(wav.readUInt16LE(findChunk(wav, 'fmt ').offset + 10), 1);
+      assert.equal(data.size, frames * 2);
+      assert.deepEqual(readSamples(wav.subarray(data.offset + 8)), expected[c]);
+      assert.match(wav.toString('ascii', info.offset + 20, info.offset + 8 + info.size), new RegExp(`channel 1: ${['external', 'internal'][c]}`));
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+import { Readable } from 'stream';
+import {
+  encryptBuffer,
+  createDecryptStream,
+  createEncryptedFileIo,
+  getPlaintextSize,
+  readEncryptedFileIv,
+  createKeyProvider
+} from '../encryption.js';
+
+// Larger than one 64 KiB record so the data spans several frames
+const PLAINTEXT = randomBytes(150 * 1024);
+
+// Magic and base IV in front of the first record
+const HEADER_LENGTH = 16;
+
+const decrypt = async (key, data, options) => {
+  const chunks = [];
+  // Feed odd-sized chunks so records straddle chunk boundaries
+  const input = [];
+  for (let offset = 0; offset < data.length; offset += 7001) {
+    input.push(data.subarray(offset, offset + 7001));
+  }
+  for await (const chunk of Readable.from(input).pipe(createDecryptStream(key, options))) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+const withTempDir = async (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-test-'));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('decrypts what encryptBuffer encrypted', async () => {
+  const key = randomBytes(32);
+  const { iv, body } = encryptBuffer(key, PLAINTEXT);
+
+  assert.deepEqual(await decrypt(key, body), PLAINTEXT);
+  assert.deepEqual(await decrypt(key, body, { expectedIv: iv }), PLAINTEXT);
+});
+
+test('rejects data that does not carry the expected IV', async () => {
+  const key = randomBytes(32);
+  const { body } = encryptBuffer(key, PLAINTEXT);
+
+  await assert.rejects(decrypt(key, body, { expectedIv: randomBytes(12) }), /expected IV/);
+});
+
+test('rejects a truncated recording unless truncation is allowed', async () => {
+  const key = randomBytes(32);
+  const { body } = encryptBuffer(key, PLAINTEXT);
+  const truncated = body.subarray(0, body.length - 100);
+
+  await assert.rejects(decrypt(key, truncated), /truncated/);
+
+  // A crash leaves a spool file that still decrypts up to its last complete record
+  const recovered = await decrypt(key, truncated, { allowTruncated: true });
+  assert.ok(recovered.length > 0 && recovered.length < PLAINTEXT.length);
+  assert.deepEqual(recovered, PLAINTEXT.subarray(0, recovered.length));
+});
+
+test('rejects a recording whose last frame was dropped', async () => {
+  const key = randomBytes(32);
+  const { body } = encryptBuffer(key, PLAINTEXT);
+
+  // Cut cleanly after the second full-size record, before the one carrying the final flag
+  const recordLength = 5 + 64 * 1024 + 16;
+  await assert.rejects(decrypt(key, body.subarray(0, HEADER_LENGTH + 2 * recordLength)), /truncated/);
+});
+
+test('rejects a tampered frame', async () => {
+  const key = randomBytes(32);
+  const { body } = encryptBuffer(key, PLAINTEXT);
+  const tampered = Buffer.from(body);
+  tampered[HEADER_LENGTH + 5 + 100] ^= 0x01;
+
+  await assert.rejects(decrypt(key, tampered), /Encrypted record 0 failed authentication/);
+});
+
+test('rejects frames that were reordered', async () => {
+  const key = randomBytes(32);
+  const { body } = encryptBuffer(key, PLAINTEXT);
+
+  // Swap the first two full-size records
+  const recordLength = 5 + 64 * 1024 + 16;
+  const first = body.subarray(HEADER_LENGTH, HEADER_LENGTH + recordLength);
+  const second = body.subarray(HEADER_LENGTH + recordLength, HEADER_LENGTH + 2 * recordLength);
+  const reordered = Buffer.concat([body.subarray(0, HEADER_LENGTH), second, first, body.subarray(HEADER_LENGTH + 2 * recordLength)]);
+
+  await assert.rejects(decrypt(key, reordered), /failed authentication/);
+});
+
+test('rejects decryption with the wrong data key', async () => {
+  const { body } = encryptBuffer(randomBytes(32), PLAINTEXT);
+
+  await assert.rejects(decrypt(randomBytes(32), body), /failed authentication/);
+});
+
+test('round-trips a file through the encrypted file access', async () => {
+  await withTempDir(async (dir) => {
+    const key = randomBytes(32);
+    const fileIo = createEncryptedFileIo(key);
+    const filePath = path.join(dir, 'call.enc');
+
+    const output = fileIo.createWriteStream(filePath);
+    await new Promise((resolve, reject) => {
+      output.on('error', reject);
+      output.end(PLAINTEXT, resolve);
+    });
+
+    assert.deepEqual(readEncryptedFileIv(filePath), output.iv);
+    assert.equal(await getPlaintextSize(filePath), PLAINTEXT.length);
+    assert.deepEqual(await fileIo.readStart(filePath, 44), PLAINTEXT.subarray(0, 44));
+    assert.deepEqual(await decrypt(key, fs.readFileSync(filePath)), PLAINTEXT);
+  });
+});
+
+test('unwraps data keys only with the master key that wrapped them', async () => {
+  await withTempDir(async (dir) => {
+    const keyFile = path.join(dir, 'master.key');
+    const otherKeyFile = path.join(dir, 'other.key');
+    fs.writeFileSync(keyFile, randomBytes(32).toString('hex'));
+    fs.writeFileSync(otherKeyFile, randomBytes(32).toString('base64'));
+
+    const provider = createKeyProvider('local', { keyFile });
+    const other = createKeyProvider('local', { keyFile: otherKeyFile });
+    const { key, wrappedKey, keyId } = await provider.generateDataKey();
+
+    assert.deepEqual(await provider.decryptDataKey(wrappedKey, keyId), key);
+    await assert.rejects(other.decryptDataKey(wrappedKey, keyId), /not by/);
+  });
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, randomUUID } from 'crypto';
+import { verifySignature } from '../httpSignature.js';
+
+const CLIENT_SECRET = Buffer.from('audiohook-test-secret').toString('base64');
+const API_KEY = 'test-api-key';
+
+const COMPONENTS = [
+  '@request-target',
+  '@authority',
+  'audiohook-organization-id',
+  'audiohook-session-id',
+  'audiohook-correlation-id',
+  'x-api-key'
+];
+
+const buildRequest = () => ({
+  method: 'GET',
+  url: '/api/v1/audiohook/ws',
+  headers: {
+    host: 'audiohook.example.com',
+    'audiohook-organization-id': 'd7934305-0972-4844-938e-9060eef73d05',
+    'audiohook-session-id': 'e160e428-53e2-487c-977d-96989bf5c99d',
+    'audiohook-correlation-id': '30b0e395-84d3-4570-ac13-9a62d8f514c0',
+    'x-api-key': API_KEY
+  }
+});
+
+// Sign a request the way Genesys does; fields can be overridden to build broken signatures
+const sign = (req, {
+  components = COMPONENTS,
+  keyid = API_KEY,
+  created = Math.floor(Date.now() / 1000),
+  expires = created + 300,
+  nonce = randomUUID(),
+  secret = CLIENT_SECRET
+} = {}) => {
+  const params = `(${components.map(component => `"${component}"`).join(' ')})` +
+    `;keyid="${keyid}";nonce="${nonce}";alg="hmac-sha256";created=${created};expires=${expires}`;
+
+  const values = {
+    '@request-target': req.url,
+    '@authority': req.headers.host
+  };
+  const base = components
+    .map(component => `"${component}": ${values[component] !== undefined ? values[component] : req.headers[component]}`)
+    .concat(`"@signature-params": ${params}`)
+    .join('\n');
+  const signature = createHmac('sha256', Buffer.from(secret, 'base64')).update(base).digest('base64');
+
+  req.headers['signature-input'] = `sig1=${params}`;
+  req.headers['signature'] = `sig1=:${signature}:`;
+  return req;
+}
+
+const verify = (req) => verifySignature(req, { clientSecret: CLIENT_SECRET, apiKey: API_KEY, maxAgeSeconds: 300, clockSkewSeconds: 30 });
+
+test('accepts a valid signature', () => {
+  assert.deepEqual(verify(sign(buildRequest())), { valid: true, reason: 'ok' });
+});
+
+test('rejects a key id that is not the API key', () => {
+  const result = verify(sign(buildRequest(), { keyid: 'another-key' }));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Key id does not match API key');
+});
+
+test('rejects a signature made with another secret', () => {
+  const result = verify(sign(buildRequest(), { secret: Buffer.from('wrong-secret').toString('base64') }));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Signature mismatch');
+});
+
+test('rejects a request whose covered component was changed after signing', () => {
+  const req = sign(buildRequest());
+  req.headers['audiohook-session-id'] = '00000000-0000-0000-0000-000000000001';
+  const result = verify(req);
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Signature mismatch');
+});
+
+test('rejects a created timestamp older than the allowed age', () => {
+  const created = Math.floor(Date.now() / 1000) - 400;
+  const result = verify(sign(buildRequest(), { created, expires: created + 1000 }));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Signature too old');
+});
+
+test('rejects a created timestamp in the future', () => {
+  const created = Math.floor(Date.now() / 1000) + 120;
+  const result = verify(sign(buildRequest(), { created }));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Signature created in the future');
+});
+
+test('rejects an expired signature', () => {
+  const created = Math.floor(Date.now() / 1000) - 100;
+  const result = verify(sign(buildRequest(), { created, expires: created + 10 }));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Signature expired');
+});
+
+test('rejects a replayed nonce', () => {
+  const nonce = randomUUID();
+  assert.equal(verify(sign(buildRequest(), { nonce })).valid, true);
+
+  const result = verify(sign(buildRequest(), { nonce }));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Replayed nonce');
+});
+
+test('rejects a signature that does not cover a required component', () => {
+  const result = verify(sign(buildRequest(), { components: COMPONENTS.filter(component => component !== 'x-api-key') }));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Required component not covered: x-api-key');
+});
+
+test('rejects a request without signature headers', () => {
+  assert.deepEqual(verify(buildRequest()), { valid: false, reason: 'Missing signature headers' });
+});
@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createStreamingUpload, MIN_PART_SIZE } from '../multipartUpload.js';
+
+const PARAMS = { Bucket: 'recordings', Key: 'calls/a/audio/a.raw', ContentType: 'audio/basic' };
+
+// S3 client that records every command; UploadPart can be held back to simulate slow storage
+const createFakeS3 = ({ failPart = null } = {}) => {
+  const calls = [];
+  const objects = new Map();
+  const uploads = new Map();
+  let held = null;
+
+  const client = {
+    calls,
+    objects,
+
+    // Hold UploadPart calls until the returned function is called
+    hold() {
+      let release;
+      held = new Promise(resolve => {
+        release = resolve;
+      });
+      return () => {
+        held = null;
+        release();
+      };
+    },
+
+    async send(command) {
+      const name = command.constructor.name;
+      const input = command.input;
+      calls.push({ name, input });
+
+      switch (name) {
+        case 'PutObjectCommand':
+          objects.set(input.Key, Buffer.from(input.Body));
+          return {};
+        case 'CreateMultipartUploadCommand':
+          uploads.set('upload-1', new Map());
+          return { UploadId: 'upload-1' };
+        case 'UploadPartCommand':
+          if (held) {
+            await held;
+          }
+          if (input.PartNumber === failPart) {
+            throw new Error('Part upload failed');
+          }
+          uploads.get(input.UploadId).set(input.PartNumber, Buffer.from(input.Body));
+          return { ETag: `"etag-${input.PartNumber}"` };
+        case 'CompleteMultipartUploadCommand': {
+          const parts = uploads.get(input.UploadId);
+          objects.set(input.Key, Buffer.concat(input.MultipartUpload.Parts.map(part => parts.get(part.PartNumber))));
+          uploads.delete(input.UploadId);
+          return {};
+        }
+        case 'AbortMultipartUploadCommand':
+          uploads.delete(input.UploadId);
+          return {};
+        default:
+          throw new Error(`Unexpected command ${name}`);
+      }
+    }
+  };
+  return client;
+}
+
+const fill = (length, value) => Buffer.alloc(length, value);
+
+const commandNames = (s3) => s3.calls.map(call => call.name);
+
+test('sends an object smaller than one part with a single PutObject', async () => {
+  const s3 = createFakeS3();
+  const upload = createStreamingUpload(s3, PARAMS, { partSize: MIN_PART_SIZE });
+
+  upload.write(fill(1000, 1));
+  upload.write(fill(500, 2));
+  const result = await upload.complete();
+
+  assert.deepEqual(result, { key: PARAMS.Key, bytes: 1500, parts: 1 });
+  assert.deepEqual(commandNames(s3), ['PutObjectCommand']);
+  assert.equal(s3.calls[0].input.ContentType, 'audio/basic');
+  assert.deepEqual(s3.objects.get(PARAMS.Key), Buffer.concat([fill(1000, 1), fill(500, 2)]));
+});
+
+test('rewrites the held first part before a single PutObject', async () => {
+  const s3 = createFakeS3();
+  const upload = createStreamingUpload(s3, PARAMS, {
+    finalizeFirstPart: (firstPart, totalBytes) => {
+      firstPart.writeUInt32LE(totalBytes, 0);
+      return firstPart;
+    }
+  });
+
+  upload.write(fill(4, 0));
+  upload.write(fill(96, 7));
+  await upload.complete();
+
+  const body = s3.objects.get(PARAMS.Key);
+  assert.deepEqual(commandNames(s3), ['PutObjectCommand']);
+  assert.equal(body.readUInt32LE(0), 100);
+  assert.deepEqual(body.subarray(4), fill(96, 7));
+});
+
+test('holds the first part back until completion and uploads it as part 1', async () => {
+  const s3 = createFakeS3();
+  const upload = createStreamingUpload(s3, PARAMS, {
+    finalizeFirstPart: (firstPart, totalBytes) => {
+      firstPart.writeUInt32LE(totalBytes, 0);
+      return firstPart;
+    }
+  });
+
+  upload.write(fill(MIN_PART_SIZE, 1));
+  upload.write(fill(MIN_PART_SIZE, 2));
+  upload.write(fill(1000, 3));
+
+  // Only the second part can be sent while the call is live
+  await new Promise(resolve => setImmediate(resolve));
+  const livePartNumbers = s3.calls.filter(call => call.name === 'UploadPartCommand').map(call => call.input.PartNumber);
+  assert.deepEqual(livePartNumbers, [2]);
+
+  const result = await upload.complete();
+  const totalBytes = 2 * MIN_PART_SIZE + 1000;
+  assert.deepEqual(result, { key: PARAMS.Key, bytes: totalBytes, parts: 3 });
+
+  const complete = s3.calls.find(call => call.name === 'CompleteMultipartUploadCommand');
+  assert.deepEqual(complete.input.MultipartUpload.Parts.map(part => part.PartNumber), [1, 2, 3]);
+
+  const body = s3.objects.get(PARAMS.Key);
+  assert.equal(body.length, totalBytes);
+  assert.equal(body.readUInt32LE(0), totalBytes);
+  assert.deepEqual(body.subarray(4, MIN_PART_SIZE), fill(MIN_PART_SIZE - 4, 1));
+  assert.deepEqual(body.subarray(MIN_PART_SIZE, 2 * MIN_PART_SIZE), fill(MIN_PART_SIZE, 2));
+  assert.deepEqual(body.subarray(2 * MIN_PART_SIZE), fill(1000, 3));
+});
+
+test('spills parts to disk while storage is slow and removes the spill file afterwards', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-test-'));
+  try {
+    const s3 = createFakeS3();
+    const spillPath = path.join(dir, 'a.raw.spill');
+    const upload = createStreamingUpload(s3, PARAMS, { maxQueuedParts: 1, spillPath });
+
+    const release = s3.hold();
+    for (let i = 1; i <= 4; i++) {
+      upload.write(fill(MIN_PART_SIZE, i));
+    }
+
+    // One part waits in memory, the other three were written to the spill file
+    assert.equal(fs.statSync(spillPath).size, 3 * MIN_PART_SIZE);
+
+    release();
+    const result = await upload.complete();
+
+    assert.deepEqual(result, { key: PARAMS.Key, bytes: 4 * MIN_PART_SIZE, parts: 4 });
+    assert.equal(fs.existsSync(spillPath), false);
+
+    const body = s3.objects.get(PARAMS.Key);
+    for (let i = 0; i < 4; i++) {
+      assert.deepEqual(body.subarray(i * MIN_PART_SIZE, (i + 1) * MIN_PART_SIZE), fill(MIN_PART_SIZE, i + 1));
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('aborts the multipart upload and removes the spill file when a part fails', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-test-'));
+  try {
+    const s3 = createFakeS3({ failPart: 2 });
+    const spillPath = path.join(dir, 'a.raw.spill');
+    const upload = createStreamingUpload(s3, PARAMS, { maxQueuedParts: 1, spillPath });
+
+    const release = s3.hold();
+    for (let i = 1; i <= 3; i++) {
+      upload.write(fill(MIN_PART_SIZE, i));
+    }
+    release();
+
+    await assert.rejects(upload.complete(), /Part upload failed/);
+    assert.ok(commandNames(s3).includes('AbortMultipartUploadCommand'));
+    assert.equal(commandNames(s3).includes('CompleteMultipartUploadCommand'), false);
+    assert.equal(fs.existsSync(spillPath), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
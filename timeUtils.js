@@ -0,0 +1,30 @@
+// ISO-8601 durations as used by AudioHook positions (e.g. 'PT12.34S')
+const DURATION_PATTERN = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+/**
+ * Parse an ISO-8601 duration into seconds
+ * @param {string} duration Duration string (e.g. 'PT1M30.5S')
+ * @returns {number|null} Duration in seconds, or null if it can't be parsed
+ */
+export const parseIsoDuration = (duration) => {
+  if (typeof duration !== 'string') {
+    return null;
+  }
+
+  const match = duration.match(DURATION_PATTERN);
+  if (!match || duration === 'P' || duration.endsWith('T')) {
+    return null;
+  }
+
+  const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part || '0'));
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Format a number of seconds as an ISO-8601 duration
+ * @param {number} seconds Duration in seconds
+ * @returns {string} Duration string (e.g. 'PT12.34S')
+ */
+export const formatIsoDuration = (seconds) => {
+  return `PT${Number(Math.max(0, seconds).toFixed(3))}S`;
+}